@@ -1,10 +1,35 @@
 import { EventEmitter } from './events.mjs';
-import { Logger } from './log.mjs';
+import * as log from './log.mjs';
 import * as formutils from './formutils.mjs';
+import * as domutils from './domutils.mjs';
+import { html, unsafeHtml } from './domutils.mjs';
+import { getGlobalDialogManager } from './dialogmanager.mjs';
+
+// Close icon, as inline SVG to not depend on an icon font
+const CLOSE_ICON = unsafeHtml('<svg class="icon" viewBox="0 0 24 24" width="1em" height="1em" aria-hidden="true" focusable="false">' +
+                              '<path d="M6 6L18 18M18 6L6 18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>');
+
+// Elements that can receive keyboard focus
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+                           'select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"]), [contenteditable="true"]';
+
+/**
+ *  Check whether content should be added as DOM content rather than as HTML text.
+ */
+function isNodeContent(content) {
+  return (typeof Node !== 'undefined') && (content instanceof Node);
+}
 
 /**
  *  Type representing a modal dialog that can be attached/de-attached from the DOM.
  *
+ *  The dialog is keyboard and screen-reader accessible: it has role 'dialog', traps focus while open,
+ *  supports arrow keys to move between the answer buttons, Enter for the default answer and Escape to close it
+ *  (with an undefined answer, just like the close button). On close, focus is restored to the element that had it on open.
+ *
+ *  Open dialogs are stacked by a DialogManager: opening a dialog while another one with the same ID is open
+ *  returns the promise of that one, and closing a dialog first closes the dialogs opened on top of it.
+ *
  *  A component has following properties:
  *    - id: unique ID
  *    - app: the app it belongs to
@@ -17,48 +42,92 @@ export default class Dialog extends EventEmitter
    *
    *  @param id Unique ID for this component.
    *  @param app The app this component belongs to.
-   *  @param title The question to be answered.
+   *  @param title The question to be answered: a string (used as text), SafeHtml, a DOM node or a <template> element.
    *  @param answers The possible answers, with the value they represent.
+   *  @param options Following options are available:
+   *                  'body': content shown between the title and the answers: a string (used as text), SafeHtml,
+   *                          a DOM node or a <template> element.
+   *                  'defaultAnswer': the answer chosen via Enter and initially focused. Defaults to the first answer.
+   *                  'manager': the DialogManager to stack the dialog with. Defaults to the global dialog manager.
+   *                  'timeout': the number of milliseconds after which the dialog gets dismissed. Not dismissed if not set.
+   *                  'signal': an AbortSignal that dismisses the dialog when aborted.
+   *                  'dismissValue': the value the dialog resolves with when dismissed or not opened. Defaults to undefined.
    */
-  constructor(id, app, title="What is your answer?", answers = { "Yes": true, "No": false }) {
+  constructor(id, app, title="What is your answer?", answers = { "Yes": true, "No": false }, options = {}) {
     super();
     this.id = id;
-    this.log = new Logger(`${id}`);
+    this.log = log.getLogger(`dialog.${id}`);
     this.app = app;
     this.title = title;
     this.answers = answers;
+    this.options = options;
+    this.defaultAnswer = options.hasOwnProperty('defaultAnswer') ? options.defaultAnswer : Object.keys(answers)[0];
+    this.opener = null;
+    this.manager = options.manager || getGlobalDialogManager();
     this.overlay = this.createDialogOverlay();
     this.dialog = this.createDialog();
     this.overlay.appendChild(this.dialog);
     this.registeredEvents = [];
+    this.dismissValue = options.dismissValue;
+    this.timer = null;
+    this.openCount = 0;
+    this.defineEventSchema('beforeopen', { dialog: Dialog });
+    this.defineEventSchema('open', { dialog: Dialog });
+    this.defineEventSchema('opened', { dialog: Dialog });
+    this.defineEventSchema('beforeclose', { dialog: Dialog, result: { type: 'any', optional: true } });
+    this.defineEventSchema('close', { dialog: Dialog, result: { type: 'any', optional: true }, reason: 'string' });
+    this.defineEventSchema('closed', { dialog: Dialog, result: { type: 'any', optional: true }, reason: 'string' });
   }
 
-  /** Should be overridden */
+  /**
+   *  Should be overridden.
+   *
+   *  Build the HTML via the domutils.html tagged template, so interpolated values get escaped.
+   *  Content that can't be expressed as HTML text, like DOM nodes, should be added via fillDialog().
+   */
   createDialogUIHtml() {
-    return `
+    return html`
       <div id="${this.id}" class="dialog">
         ${this.createDialogCloseButton()}
-        <h1 class="dialog-title">${this.title}</h1>
+        <h1 id="${this.id}-title" class="dialog-title">${isNodeContent(this.title) ? '' : this.title}</h1>
+        ${this.createDialogBody()}
         <div class="dialog-buttons">
           ${this.createDialogButtons()}
-        </div> 
+        </div>
       </div>
       `;
   }
 
+  /** Can be overridden to add content between the title and the buttons */
+  createDialogBody() {
+    return this.options.body ? html`<div class="dialog-body"></div>` : '';
+  }
+
+  /**
+   *  Add the content that isn't part of the HTML from createDialogUIHtml(): DOM nodes and templates.
+   *  Can be overridden, but should then invoke this implementation as well.
+   *
+   *  @param dialog The dialog element just created.
+   */
+  fillDialog(dialog) {
+    const titleEl = dialog.querySelector(".dialog-title");
+    if (titleEl && isNodeContent(this.title)) {
+      domutils.setContent(titleEl, this.title);
+    }
+    const bodyEl = dialog.querySelector(".dialog-body");
+    if (bodyEl && this.options.body) {
+      domutils.setContent(bodyEl, this.options.body);
+    }
+  }
+
   createDialogCloseButton() {
-    return `<button href="#" data-answer="undefined" id="close-dialog-button" class="close-button"><i class="fa fa-xmark"></i></button>`;
+    return html`<button type="button" data-answer="undefined" id="close-dialog-button" class="close-button" aria-label="Close">${CLOSE_ICON}</button>`;
   }
 
   createDialogButtons() {
-    const dlg = this;
-    let buttonHtml = '';
-    for (let answer in this.answers) {
-      buttonHtml += `
-        <button data-answer="${answer}">${answer}</button>
-      `;
-    }
-    return buttonHtml;
+    return Object.keys(this.answers).map((answer) => html`
+        <button type="button" data-answer="${answer}" class="${(answer === this.defaultAnswer) ? 'default-answer' : ''}">${answer}</button>
+      `);
   }
 
   createDialogOverlay() {
@@ -70,12 +139,117 @@ export default class Dialog extends EventEmitter
 
   createDialog() {
     let dialogTemplate = document.createElement("template");
-    dialogTemplate.innerHTML = this.createDialogUIHtml();
-    let dialog = dialogTemplate.content.querySelector("#" + this.id).cloneNode(true);
+    dialogTemplate.innerHTML = `${this.createDialogUIHtml()}`;
+    let dialog = dialogTemplate.content.querySelector(`#${CSS.escape(this.id)}`).cloneNode(true);
     dialog.classList.add("dialog");
+    this.fillDialog(dialog);
+    // Ensure accessibility, even when createDialogUIHtml() is overridden:
+    dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+    let titleEl = dialog.querySelector(".dialog-title");
+    if (titleEl) {
+      if (!titleEl.id) {
+        titleEl.id = `${this.id}-title`;
+      }
+      dialog.setAttribute("aria-labelledby", titleEl.id);
+    }
+    if (!dialog.hasAttribute("tabindex")) {
+      dialog.setAttribute("tabindex", "-1"); // Allow focusing the dialog itself when it has no focusable content
+    }
     return dialog;
   }
 
+  /**
+   *  Get all elements within the dialog that can receive keyboard focus.
+   */
+  getFocusableElements() {
+    return Array.from(this.dialog.querySelectorAll(FOCUSABLE_SELECTOR))
+                .filter((el) => !el.closest("[hidden], [inert]"));
+  }
+
+  /**
+   *  Get the buttons for the answers, excluding the close button.
+   */
+  getAnswerButtons() {
+    return Array.from(this.dialog.querySelectorAll(".dialog-buttons [data-answer]"))
+                .filter((el) => !el.hidden);
+  }
+
+  /**
+   *  Move the focus into the dialog: to the default answer if possible, otherwise to the first focusable element.
+   */
+  focusInitialElement() {
+    let initialEl = this.getAnswerButtons().find((el) => el.dataset.answer === `${this.defaultAnswer}`) ||
+                    this.getFocusableElements().find((el) => !el.classList.contains("close-button")) ||
+                    this.dialog;
+    initialEl.focus();
+  }
+
+  onKeyDown(event) {
+    switch (event.key) {
+      case "Escape":
+        event.preventDefault();
+        this.requestClose(undefined);
+        break;
+      case "Tab":
+        this.trapTab(event);
+        break;
+      case "ArrowLeft":
+      case "ArrowUp":
+      case "ArrowRight":
+      case "ArrowDown":
+        this.moveBetweenAnswers(event);
+        break;
+      case "Enter":
+        if (!event.target.closest("button, a[href], textarea, select")) { // These handle Enter themselves
+          event.preventDefault();
+          this.handleAnswer(`${this.defaultAnswer}`);
+        }
+        break;
+    }
+  }
+
+  trapTab(event) {
+    const focusableEls = this.getFocusableElements();
+    if (focusableEls.length === 0) {
+      event.preventDefault();
+      this.dialog.focus();
+      return;
+    }
+    const firstEl = focusableEls[0];
+    const lastEl = focusableEls[focusableEls.length - 1];
+    if (event.shiftKey && ((document.activeElement === firstEl) || (document.activeElement === this.dialog))) {
+      event.preventDefault();
+      lastEl.focus();
+    }
+    else if (!event.shiftKey && (document.activeElement === lastEl)) {
+      event.preventDefault();
+      firstEl.focus();
+    }
+  }
+
+  moveBetweenAnswers(event) {
+    const buttons = this.getAnswerButtons();
+    const idx = buttons.indexOf(document.activeElement);
+    if (idx < 0) { // Only when an answer has focus, so arrow keys keep working in inputs
+      return;
+    }
+    event.preventDefault();
+    const delta = ((event.key === "ArrowLeft") || (event.key === "ArrowUp")) ? -1 : +1;
+    buttons[(idx + delta + buttons.length) % buttons.length].focus();
+  }
+
+  onFocusIn(event) {
+    if ((this.manager.top() === this) && !this.dialog.contains(event.target)) { // Focus escaped, e.g. via the mouse: bring it back
+      this.focusInitialElement();
+    }
+  }
+
+  registerEvent(target, type, callback) {
+    this.registeredEvents.push({ target: target, type: type, callback: callback });
+    target.addEventListener(type, callback);
+  }
+
   onClick(event) {
     if (event && event.target) {
       let eventTarget = event.target;
@@ -84,42 +258,533 @@ export default class Dialog extends EventEmitter
       }
       if (eventTarget) {
         event.preventDefault();
-        let answerId = eventTarget.dataset.answer;
-        let answerValue = this.answers[answerId];
-        this.close(answerValue);
+        this.handleAnswer(eventTarget.dataset.answer);
       }
     }
   }
+
+  /**
+   *  Handle the choice of an answer, via a click or the keyboard.
+   *  Can be overridden to do something else than closing the dialog with the answer's value.
+   *
+   *  @param answerId The key of the answer in the answers map, or 'undefined' for the close button.
+   *
+   *  @return A promise resolving to true if the dialog got closed.
+   */
+  handleAnswer(answerId) {
+    return this.requestClose(this.answers[answerId]);
+  }
   
-  async open() {
-    let attachedOverlay = document.querySelector(`#${this.id}-overlay`);
-    if (!attachedOverlay) {
-      document.body.appendChild(this.overlay);
-      attachedOverlay = document.querySelector(`#${this.id}-overlay`);
+  /**
+   *  Open the dialog, on top of any other open dialogs.
+   *
+   *  Dispatches a cancellable 'beforeopen' event first, then an 'open' event once shown,
+   *  and an 'opened' event once its CSS transitions have finished.
+   *
+   *  @param options Overrides for the 'timeout', 'signal' and 'dismissValue' options passed to the constructor.
+   *
+   *  @return A promise resolving to the answer the dialog got closed with, or the dismiss value if dismissed.
+   *          If a dialog with the same ID is already open, the promise of that one.
+   */
+  async open(options = {}) {
+    const openEntry = this.manager.find(this.id);
+    if (openEntry) {
+      this.log.debug("Dialog '%s' is already open", this.id);
+      return openEntry.promise;
     }
-    let ce = this.onClick.bind(this);
-    this.registeredEvents.push({ target: this.dialog, type: 'click', callback: ce });
-    this.dialog.addEventListener('click', ce);
+    const openOptions = Object.assign({}, this.options, options);
+    let resolveOpen = null;
+    const promise = new Promise((resolve, reject) => { resolveOpen = resolve; });
+    const onClose = (e) => { resolveOpen(e.result); };
+    this.once('close', onClose);
+    this.manager.push(this, promise); // Right away, to prevent opening twice while 'beforeopen' is being handled
     this.result = null;
+    this.dismissValue = openOptions.dismissValue;
+    const signal = openOptions.signal;
+    const outcome = await this.dispatchEventAsync({ type: 'beforeopen', dialog: this });
+    if (!this.isOpen()) { // Closed meanwhile
+      return promise;
+    }
+    if (outcome.defaultPrevented || (signal && signal.aborted)) {
+      this.log.debug("Not opening dialog '%s': %s", this.id, outcome.defaultPrevented ? "vetoed" : "aborted");
+      this.removeEventListener('close', onClose);
+      this.manager.remove(this);
+      resolveOpen(this.dismissValue);
+      return promise;
+    }
+    if (!this.overlay.isConnected) {
+      document.body.appendChild(this.overlay);
+      void this.overlay.offsetWidth; // Force a style calculation, so removing the 'disabled' class triggers transitions
+    }
+    this.opener = document.activeElement;
+    this.registerEvents();
+    if (signal) {
+      this.registerEvent(signal, 'abort', () => { this.dismiss('abort'); });
+    }
+    if (openOptions.timeout > 0) {
+      this.timer = setTimeout(() => { this.dismiss('timeout'); }, openOptions.timeout);
+    }
+    const openCount = ++this.openCount;
     formutils.enable(this.overlay);
+    this.focusInitialElement();
     this.dispatchEvent({type: 'open', dialog: this});
-    const dlg = this;
-    return new Promise((resolve, reject) => {
-      const callback = (e) => {
-        dlg.removeEventListener('close', callback);
-        resolve(e.result);
-      };
-      dlg.addEventListener('close', callback);
+    domutils.afterTransitions(this.overlay, this.dialog).then(() => {
+      if (this.isOpen() && (this.openCount === openCount)) {
+        this.dispatchEvent({ type: 'opened', dialog: this });
+      }
     });
+    return promise;
+  }
+
+  /**
+   *  Check whether this dialog is open, i.e. on the stack of its dialog manager.
+   */
+  isOpen() {
+    const openEntry = this.manager.find(this.id);
+    return !!openEntry && (openEntry.dialog === this);
+  }
+
+  /**
+   *  Register the event listeners needed while open, via registerEvent() so they get removed on close.
+   */
+  registerEvents() {
+    this.registerEvent(this.dialog, 'click', this.onClick.bind(this));
+    this.registerEvent(this.dialog, 'keydown', this.onKeyDown.bind(this));
+    this.registerEvent(document, 'focusin', this.onFocusIn.bind(this));
+  }
+
+  /**
+   *  Close the dialog, unless a listener for the 'beforeclose' event vetoes it by calling event.preventDefault().
+   *
+   *  @param answer The answer to close the dialog with.
+   *
+   *  @return A promise resolving to true if the dialog got closed, false if vetoed.
+   */
+  async requestClose(answer) {
+    const outcome = await this.dispatchEventAsync({ type: 'beforeclose', dialog: this, result: answer });
+    if (outcome.defaultPrevented) {
+      return false;
+    }
+    this.close(answer);
+    return true;
+  }
+
+  /**
+   *  Close the dialog with the dismiss value, e.g. because of a timeout or abort signal.
+   *  Unlike requestClose(), this can't be vetoed.
+   *
+   *  @param reason The reason for dismissing, passed as 'reason' of the 'close' event. Defaults to 'dismiss'.
+   */
+  dismiss(reason = 'dismiss') {
+    this.log.debug("Dismissing dialog '%s': %s", this.id, reason);
+    this.close(this.dismissValue, reason);
   }
 
-  close(answer) {
+  /**
+   *  Close the dialog, without dispatching a 'beforeclose' event.
+   *
+   *  Dispatches a 'close' event right away, and a 'closed' event once the CSS transitions have finished
+   *  and the dialog got removed from the document.
+   *
+   *  @param answer The answer to close the dialog with.
+   *  @param reason The reason for closing: 'answer' (the default), 'timeout', 'abort' or 'dismiss'.
+   */
+  close(answer, reason = 'answer') {
+    if (!this.isOpen()) {
+      return;
+    }
+    this.manager.closeAbove(this);
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
     this.result = answer;
     formutils.disable(this.overlay);
-    this.dispatchEvent({ type: 'close', dialog: this, result: this.result });
+    this.dispatchEvent({ type: 'close', dialog: this, result: this.result, reason: reason });
     for (let er of this.registeredEvents) {
       er.target.removeEventListener(er.type, er.callback);
     }
-    document.body.removeChild(this.overlay);
+    this.registeredEvents = [];
+    this.manager.remove(this);
+    if (this.opener && this.opener.isConnected && (typeof this.opener.focus === 'function')) {
+      this.opener.focus();
+    }
+    this.opener = null;
+    const openCount = this.openCount;
+    domutils.afterTransitions(this.overlay, this.dialog).then(() => {
+      if (this.isOpen() || (this.openCount !== openCount)) { // Re-opened meanwhile
+        return;
+      }
+      this.overlay.remove();
+      this.dispatchEvent({ type: 'closed', dialog: this, result: answer, reason: reason });
+    });
+  }
+}
+
+/**
+ *  Turn the content of a form into content for domutils.setContent(): strings are HTML, rather than text.
+ */
+function toFormContent(content) {
+  return (typeof content === 'string') ? unsafeHtml(content) : content;
+}
+
+/**
+ *  Dialog embedding a form, resolving with the serialized form data.
+ *
+ *  Answers with value true submit the form: its fields are validated first, using both the native
+ *  constraints (e.g. 'required') and the 'validate' option, and errors are shown via formutils.markInvalid().
+ *  Other answers close the dialog with their value, just like a plain Dialog.
+ *  For errors to be shown, each field should be in an '.input-group' with an '.error-text' element.
+ */
+export class FormDialog extends Dialog
+{
+  /**
+   *  Create the dialog.
+   *
+   *  @param id Unique ID for this component.
+   *  @param app The app this component belongs to.
+   *  @param title The title of the dialog.
+   *  @param options The options supported by Dialog, as well as:
+   *                  'form': the form fields: a string of (trusted) HTML, SafeHtml, a DOM node or a <template> element.
+   *                  'answers': the possible answers. Defaults to { "OK": true, "Cancel": undefined }.
+   *                  'validate': a function accepting the form data and form element, returning (a promise of)
+   *                              an object mapping field names to error texts. Valid if nothing is returned.
+   */
+  constructor(id, app, title, options = {}) {
+    super(id, app, title, options.answers || { "OK": true, "Cancel": undefined }, options);
+  }
+
+  createDialogBody() {
+    return html`<form class="dialog-form" novalidate></form>`;
+  }
+
+  fillDialog(dialog) {
+    super.fillDialog(dialog);
+    if (this.options.form !== undefined) { // Otherwise keep the fields of createDialogBody(), e.g. for PromptDialog
+      domutils.setContent(dialog.querySelector("form.dialog-form"), toFormContent(this.options.form));
+    }
+  }
+
+  get form() {
+    return this.dialog.querySelector("form.dialog-form");
+  }
+
+  /**
+   *  Get the element containing the fields currently shown.
+   */
+  fieldsElement() {
+    return this.form;
+  }
+
+  focusInitialElement() {
+    const fieldsEl = this.fieldsElement();
+    let fieldEl = fieldsEl ? this.getFocusableElements().find((el) => fieldsEl.contains(el)) : null;
+    if (fieldEl) {
+      fieldEl.focus();
+    }
+    else {
+      super.focusInitialElement();
+    }
+  }
+
+  registerEvents() {
+    super.registerEvents();
+    this.registerEvent(this.form, 'submit', (event) => {
+      event.preventDefault();
+      this.submit();
+    });
+  }
+
+  handleAnswer(answerId) {
+    if (this.answers[answerId] === true) {
+      return this.submit();
+    }
+    return super.handleAnswer(answerId);
+  }
+
+  /**
+   *  Get the data of the form: see formutils.serializeForm().
+   */
+  serialize() {
+    return formutils.serializeForm(this.form);
+  }
+
+  /**
+   *  Validate the form data.
+   *
+   *  @param data The form data, as returned by serialize().
+   *  @param scopeEl The element containing the fields to check the native constraints of. Defaults to the form.
+   *
+   *  @return A promise resolving to an object mapping field names to error texts: empty if valid.
+   */
+  async validate(data, scopeEl = this.form) {
+    const errors = this.checkConstraints(scopeEl);
+    if (this.options.validate) {
+      Object.assign(errors, await this.options.validate(data, this.form));
+    }
+    return errors;
+  }
+
+  /**
+   *  Check the native constraints of the fields within the scope element.
+   *
+   *  @return An object mapping field names to error texts: empty if valid.
+   */
+  checkConstraints(scopeEl) {
+    const errors = {};
+    for (let el of scopeEl.querySelectorAll("input, select, textarea")) {
+      if (el.name && !el.checkValidity() && !errors[el.name]) {
+        errors[el.name] = el.validationMessage;
+      }
+    }
+    return errors;
+  }
+
+  /**
+   *  Mark the fields within the scope element valid or invalid, and focus the first invalid one.
+   *
+   *  @return True if there were no errors.
+   */
+  showValidation(errors, scopeEl = this.form) {
+    let firstInvalidEl = null;
+    for (let el of scopeEl.querySelectorAll("[name]")) {
+      if (errors[el.name]) {
+        formutils.markInvalid(el, errors[el.name]);
+        firstInvalidEl = firstInvalidEl || el;
+      }
+      else {
+        formutils.markValid(el);
+      }
+    }
+    if (firstInvalidEl) {
+      firstInvalidEl.focus();
+    }
+    return Object.keys(errors).length === 0;
+  }
+
+  /**
+   *  Validate the form and close the dialog with its data if valid.
+   *
+   *  @return A promise resolving to true if the dialog got closed.
+   */
+  async submit() {
+    const data = this.serialize();
+    if (!this.showValidation(await this.validate(data))) {
+      this.log.debug("Not submitting invalid form data: %o", data);
+      return false;
+    }
+    return this.requestClose(data);
+  }
+}
+
+/**
+ *  Dialog asking for a single text value, resolving with that value (or undefined if cancelled).
+ */
+export class PromptDialog extends FormDialog
+{
+  /**
+   *  Create the dialog.
+   *
+   *  @param id Unique ID for this component.
+   *  @param app The app this component belongs to.
+   *  @param title The question to be answered.
+   *  @param options The options supported by Dialog, as well as:
+   *                  'label': the label of the input.
+   *                  'value': the initial value.
+   *                  'placeholder': the placeholder of the input.
+   *                  'inputType': the type of the input. Defaults to 'text'.
+   *                  'required': whether a value must be entered. Defaults to false.
+   *                  'answers': the possible answers. Defaults to { "OK": true, "Cancel": undefined }.
+   *                  'validate': a function accepting the value, returning (a promise of) an error text if invalid.
+   */
+  constructor(id, app, title, options = {}) {
+    super(id, app, title, options);
+    this.input.value = options.value || '';
+    this.input.placeholder = options.placeholder || '';
+    this.input.required = !!options.required;
+  }
+
+  createDialogBody() {
+    const label = this.options.label ? html`<label for="${this.id}-input">${this.options.label}</label>` : '';
+    return html`
+      <form class="dialog-form" novalidate>
+        <div class="input-group">
+          ${label}
+          <input id="${this.id}-input" name="value" type="${this.options.inputType || 'text'}" aria-describedby="${this.id}-error">
+          <span id="${this.id}-error" class="error-text" aria-live="polite"></span>
+        </div>
+      </form>
+      `;
+  }
+
+  get input() {
+    return this.dialog.querySelector("input[name='value']");
+  }
+
+  serialize() {
+    return this.input.value;
+  }
+
+  async validate(value) {
+    let errorText = this.input.checkValidity() ? null : this.input.validationMessage;
+    if (!errorText && this.options.validate) {
+      errorText = await this.options.validate(value);
+    }
+    return errorText ? { value: errorText } : {};
+  }
+}
+
+/**
+ *  Dialog guiding through multiple steps of a form, with back/next navigation, resolving with the data of all steps.
+ *
+ *  The answers map the button labels onto the actions 'back', 'next' and 'finish'; others close the dialog
+ *  with their value. The fields of a step are validated before moving on to the next one.
+ *  A 'step' event is dispatched whenever another step is shown.
+ */
+export class WizardDialog extends FormDialog
+{
+  /**
+   *  Create the dialog.
+   *
+   *  @param id Unique ID for this component.
+   *  @param app The app this component belongs to.
+   *  @param title The title of the dialog.
+   *  @param options The options supported by FormDialog, except 'form', as well as:
+   *                  'steps': array of objects with properties 'form' (the step's fields, like FormDialog's 'form' option), optionally
+   *                           'title' and optionally 'validate' (like FormDialog's, for the fields of this step).
+   *                  'answers': the possible answers. Defaults to { "Back": "back", "Next": "next", "Finish": "finish", "Cancel": undefined }.
+   */
+  constructor(id, app, title, options = {}) {
+    super(id, app, title, Object.assign({
+      answers: { "Back": "back", "Next": "next", "Finish": "finish", "Cancel": undefined }
+    }, options));
+    this.steps = options.steps || [];
+    this.stepIdx = 0;
+    this.defineEventSchema('step', { dialog: Dialog, step: 'number' });
+    this.showStep(0);
+  }
+
+  createDialogBody() {
+    const stepsHtml = (this.options.steps || []).map((step, idx) => html`
+        <fieldset class="dialog-step" data-step="${idx}" hidden>
+          ${step.title ? html`<legend>${step.title}</legend>` : ''}
+          <div class="dialog-step-fields"></div>
+        </fieldset>
+      `);
+    return html`<form class="dialog-form" novalidate>${stepsHtml}</form>`;
+  }
+
+  fillDialog(dialog) {
+    Dialog.prototype.fillDialog.call(this, dialog); // FormDialog's form content is replaced by the steps
+    (this.options.steps || []).forEach((step, idx) => {
+      domutils.setContent(dialog.querySelector(`.dialog-step[data-step="${idx}"] .dialog-step-fields`), toFormContent(step.form));
+    });
+  }
+
+  answerIdOf(action) {
+    return Object.keys(this.answers).find((answerId) => this.answers[answerId] === action);
+  }
+
+  answerButtonOf(action) {
+    const answerId = this.answerIdOf(action);
+    return Array.from(this.dialog.querySelectorAll(".dialog-buttons [data-answer]"))
+                .find((el) => el.dataset.answer === answerId) || null;
+  }
+
+  stepElement(idx = this.stepIdx) {
+    return this.form.querySelector(`.dialog-step[data-step="${idx}"]`);
+  }
+
+  isLastStep() {
+    return this.stepIdx >= this.steps.length - 1;
+  }
+
+  /**
+   *  Show a step, hiding the others.
+   *
+   *  @param idx The index of the step.
+   */
+  showStep(idx) {
+    this.stepIdx = Math.max(0, Math.min(idx, this.steps.length - 1));
+    this.form.querySelectorAll(".dialog-step").forEach((stepEl) => {
+      stepEl.hidden = (+stepEl.dataset.step !== this.stepIdx);
+    });
+    const visibility = { back: this.stepIdx > 0, next: !this.isLastStep(), finish: this.isLastStep() };
+    for (let action in visibility) {
+      const buttonEl = this.answerButtonOf(action);
+      if (buttonEl) {
+        buttonEl.hidden = !visibility[action];
+        buttonEl.classList.remove("default-answer");
+      }
+    }
+    this.defaultAnswer = this.answerIdOf(this.isLastStep() ? 'finish' : 'next');
+    const defaultButtonEl = this.answerButtonOf(this.isLastStep() ? 'finish' : 'next');
+    if (defaultButtonEl) {
+      defaultButtonEl.classList.add("default-answer");
+    }
+    if (this.dialog.isConnected) {
+      this.focusInitialElement();
+    }
+    this.dispatchEvent({ type: 'step', dialog: this, step: this.stepIdx });
+  }
+
+  fieldsElement() {
+    return this.stepElement();
+  }
+
+  handleAnswer(answerId) {
+    switch (this.answers[answerId]) {
+      case 'back':
+        this.showStep(this.stepIdx - 1);
+        return Promise.resolve(false);
+      case 'next':
+        return this.next();
+      case 'finish':
+        return this.submit();
+      default:
+        return this.requestClose(this.answers[answerId]);
+    }
+  }
+
+  /**
+   *  Validate the current step and move on to the next one if valid.
+   *
+   *  @return A promise resolving to true if moved on.
+   */
+  async next() {
+    const stepEl = this.stepElement();
+    if (!this.showValidation(await this.validate(this.serialize(), stepEl), stepEl)) {
+      return false;
+    }
+    if (this.isLastStep()) {
+      return this.submit();
+    }
+    this.showStep(this.stepIdx + 1);
+    return true;
+  }
+
+  async submit() {
+    const data = this.serialize();
+    const stepEl = this.stepElement();
+    if (!this.showValidation(await this.validate(data, stepEl), stepEl)) {
+      return false;
+    }
+    const errors = this.options.validate ? (await this.options.validate(data, this.form)) || {} : {};
+    if (!this.showValidation(errors)) {
+      return false;
+    }
+    return this.requestClose(data);
+  }
+
+  /**
+   *  Validate the fields of a single step: the native constraints and the step's 'validate' function.
+   */
+  async validate(data, stepEl = this.stepElement()) {
+    const errors = this.checkConstraints(stepEl);
+    const step = this.steps[+stepEl.dataset.step];
+    if (step && step.validate) {
+      Object.assign(errors, await step.validate(data, stepEl));
+    }
+    return errors;
   }
 }
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './testdom.mjs';
+
+setupDom();
+const { default: Dialog, FormDialog, PromptDialog } = await import('./dialog.mjs');
+const { DialogManager } = await import('./dialogmanager.mjs');
+
+function answerButton(dialog, answer) {
+  return dialog.dialog.querySelector(`button[data-answer="${answer}"]`);
+}
+
+/**
+ *  Open a dialog, waiting until it can be interacted with.
+ *
+ *  @return An object with property 'result': the promise returned by open().
+ */
+async function openDialog(dialog) {
+  const opened = new Promise((resolve) => { dialog.once('open', resolve); });
+  const result = dialog.open();
+  await opened;
+  return { result };
+}
+
+function pressKey(element, key) {
+  element.dispatchEvent(new KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true }));
+}
+
+test('Dialog resolves with the value of the answer clicked', async () => {
+  const dialog = new Dialog('confirm', null, 'Sure?', { Yes: true, No: false }, { manager: new DialogManager() });
+  const { result } = await openDialog(dialog);
+  assert.ok(dialog.isOpen());
+  assert.equal(dialog.dialog.getAttribute('role'), 'dialog');
+  answerButton(dialog, 'No').click();
+  assert.equal(await result, false);
+  assert.ok(!dialog.isOpen());
+});
+
+test('Dialog resolves with undefined on Escape', async () => {
+  const dialog = new Dialog('escape', null, 'Sure?', { Yes: true, No: false }, { manager: new DialogManager() });
+  const { result } = await openDialog(dialog);
+  pressKey(dialog.dialog, 'Escape');
+  assert.equal(await result, undefined);
+});
+
+test('Dialog escapes text titles', () => {
+  const dialog = new Dialog('title', null, '<b>bold</b>', { OK: true }, { manager: new DialogManager() });
+  assert.equal(dialog.dialog.querySelector('.dialog-title').textContent, '<b>bold</b>');
+});
+
+test('PromptDialog keeps its input and resolves with the value entered', async () => {
+  const dialog = new PromptDialog('prompt', null, 'Your name?', { label: 'Name', value: 'Ann', manager: new DialogManager() });
+  assert.equal(dialog.input.value, 'Ann');
+  const { result } = await openDialog(dialog);
+  dialog.input.value = 'Bob';
+  answerButton(dialog, 'OK').click();
+  assert.equal(await result, 'Bob');
+});
+
+test('PromptDialog does not close while a required value is missing', async () => {
+  const dialog = new PromptDialog('required', null, 'Your name?', { required: true, manager: new DialogManager() });
+  const { result } = await openDialog(dialog);
+  await dialog.submit();
+  assert.ok(dialog.isOpen());
+  assert.ok(dialog.input.classList.contains('invalid') || dialog.input.closest('.input-group').classList.contains('invalid'));
+  dialog.input.value = 'Cy';
+  await dialog.submit();
+  assert.equal(await result, 'Cy');
+});
+
+test('FormDialog resolves with the serialized form data', async () => {
+  const form = '<div class="input-group"><input name="city" value="Ghent"><span class="error-text"></span></div>';
+  const dialog = new FormDialog('form', null, 'Where?', { form: form, manager: new DialogManager() });
+  const { result } = await openDialog(dialog);
+  answerButton(dialog, 'OK').click();
+  assert.deepEqual(await result, { city: 'Ghent' });
+});
@@ -0,0 +1,307 @@
+import { EventEmitter } from './events.mjs';
+import * as log from './log.mjs';
+
+// Stacking of modal dialogs and non-modal toast notifications.
+// Expects the styles from css/dialogs.css to be included.
+
+const TOAST_TYPES = [ 'info', 'success', 'warning', 'error' ];
+
+/**
+ *  Type keeping track of the open modal dialogs and toasts.
+ *
+ *  Dialogs are stacked in the order they were opened: only the top one is dimmed and interactive,
+ *  the ones below are made inert. A dialog with the same ID as an open one cannot be opened twice.
+ *  Closing a dialog first dismisses all dialogs stacked on top of it, so nested dialogs resolve in order.
+ */
+export class DialogManager
+{
+  /**
+   *  Create the manager.
+   *
+   *  @param options Following options are available:
+   *                  'baseZIndex': the z-index of the bottom dialog's overlay. Defaults to 1000.
+   *                  'maxToasts': the maximum number of toasts shown at once. Defaults to 3.
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      baseZIndex: 1000,
+      maxToasts: 3
+    }, options);
+    this.stack = []; // Of { dialog, promise }
+    this.toasts = [];
+    this.toastContainer = null;
+  }
+
+  /**
+   *  Get the open dialog with the given ID.
+   *
+   *  @param id The ID of the dialog.
+   *
+   *  @return An object with properties 'dialog' and 'promise' (the one returned by open), or null if not open.
+   */
+  find(id) {
+    return this.stack.find((entry) => entry.dialog.id === id) || null;
+  }
+
+  isOpen(id) {
+    return !!this.find(id);
+  }
+
+  /**
+   *  Get the top (i.e. the most recently opened) dialog, or null if none is open.
+   */
+  top() {
+    return (this.stack.length > 0) ? this.stack[this.stack.length - 1].dialog : null;
+  }
+
+  /**
+   *  Put a dialog on top of the stack: invoked by Dialog.open().
+   *
+   *  @param dialog The dialog being opened.
+   *  @param promise The promise returned to the opener.
+   */
+  push(dialog, promise) {
+    if (this.isOpen(dialog.id)) {
+      throw new Error(`Dialog '${dialog.id}' is already open`);
+    }
+    this.stack.push({ dialog: dialog, promise: promise });
+    this.updateStack();
+  }
+
+  /**
+   *  Remove a dialog from the stack: invoked by Dialog.close().
+   *
+   *  @param dialog The dialog being closed.
+   */
+  remove(dialog) {
+    const idx = this.stack.findIndex((entry) => entry.dialog === dialog);
+    if (idx >= 0) {
+      this.stack.splice(idx, 1);
+      this.updateStack();
+    }
+  }
+
+  /**
+   *  Dismiss all dialogs stacked on top of a dialog, top one first.
+   *
+   *  @param dialog The dialog above which to dismiss all dialogs.
+   */
+  closeAbove(dialog) {
+    const idx = this.stack.findIndex((entry) => entry.dialog === dialog);
+    if (idx < 0) {
+      return;
+    }
+    while (this.stack.length > idx + 1) {
+      this.top().dismiss();
+    }
+  }
+
+  /**
+   *  Dismiss all open dialogs, top one first.
+   */
+  closeAll() {
+    while (this.stack.length > 0) {
+      this.top().dismiss();
+    }
+  }
+
+  updateStack() {
+    this.stack.forEach((entry, idx) => {
+      const overlay = entry.dialog.overlay;
+      const isTop = (idx === this.stack.length - 1);
+      overlay.style.zIndex = `${this.options.baseZIndex + idx}`;
+      overlay.classList.toggle("covered", !isTop);
+      overlay.inert = !isTop;
+    });
+  }
+
+  /**
+   *  Show a toast.
+   *
+   *  @param toast The toast to show.
+   *
+   *  @return A promise resolving to the reason the toast got dismissed: 'timeout', 'action', 'close' or 'dismiss'.
+   */
+  showToast(toast) {
+    if (!this.toastContainer || !this.toastContainer.isConnected) {
+      this.toastContainer = document.createElement("div");
+      this.toastContainer.classList.add("toast-container");
+      this.toastContainer.setAttribute("aria-live", "polite");
+      document.body.appendChild(this.toastContainer);
+    }
+    while (this.toasts.length >= this.options.maxToasts) {
+      this.toasts[0].dismiss('dismiss');
+    }
+    this.toasts.push(toast);
+    this.toastContainer.appendChild(toast.element);
+    toast.once('dismiss', () => {
+      this.toasts = this.toasts.filter((it) => it !== toast);
+    });
+    return toast.show();
+  }
+
+  /**
+   *  Create and show a toast.
+   *
+   *  @param message The message to show.
+   *  @param options The options supported by Toast.
+   *
+   *  @return A promise resolving to the reason the toast got dismissed.
+   */
+  toast(message, options = {}) {
+    return this.showToast(new Toast(message, options));
+  }
+
+  /**
+   *  Dismiss all toasts shown.
+   */
+  dismissToasts() {
+    for (let toast of this.toasts.slice()) {
+      toast.dismiss('dismiss');
+    }
+  }
+}
+
+/**
+ *  Type representing a non-modal notification, that is dismissed automatically after some time.
+ *
+ *  Dispatches a 'dismiss' event, with the 'reason' it got dismissed for.
+ */
+export class Toast extends EventEmitter
+{
+  /**
+   *  Create the toast.
+   *
+   *  @param message The message to show, as plain text.
+   *  @param options Following options are available:
+   *                  'type': 'info' (the default), 'success', 'warning' or 'error'.
+   *                  'duration': the number of milliseconds before being dismissed. Defaults to 4000, 0 to never dismiss automatically.
+   *                  'action': an object with properties 'label' and 'callback', for a button in the toast.
+   *                  'closeable': whether to show a close button. Defaults to true.
+   */
+  constructor(message, options = {}) {
+    super();
+    this.message = message;
+    this.options = Object.assign({
+      type: 'info',
+      duration: 4000,
+      action: null,
+      closeable: true
+    }, options);
+    if (!TOAST_TYPES.includes(this.options.type)) {
+      throw new TypeError(`type for Toast(message, options) must be one of ${TOAST_TYPES.join(', ')}`);
+    }
+    this.timer = null;
+    this.remaining = this.options.duration;
+    this.startedAt = 0;
+    this.dismissed = false;
+    this.defineEventSchema('dismiss', { toast: Toast, reason: 'string' });
+    this.element = this.createElement();
+  }
+
+  createElement() {
+    const element = document.createElement("div");
+    element.classList.add("toast", `toast-${this.options.type}`);
+    element.setAttribute("role", (this.options.type === 'error') ? "alert" : "status");
+    const messageEl = document.createElement("span");
+    messageEl.classList.add("toast-message");
+    messageEl.textContent = this.message;
+    element.appendChild(messageEl);
+    const action = this.options.action;
+    if (action) {
+      const actionEl = document.createElement("button");
+      actionEl.type = "button";
+      actionEl.classList.add("toast-action");
+      actionEl.textContent = action.label;
+      actionEl.addEventListener('click', () => {
+        action.callback(this);
+        this.dismiss('action');
+      });
+      element.appendChild(actionEl);
+    }
+    if (this.options.closeable) {
+      const closeEl = document.createElement("button");
+      closeEl.type = "button";
+      closeEl.classList.add("toast-close");
+      closeEl.setAttribute("aria-label", "Close");
+      closeEl.textContent = "×";
+      closeEl.addEventListener('click', () => { this.dismiss('close'); });
+      element.appendChild(closeEl);
+    }
+    // Don't dismiss while the user is looking at or interacting with the toast
+    element.addEventListener('mouseenter', () => { this.pauseTimer(); });
+    element.addEventListener('mouseleave', () => { this.resumeTimer(); });
+    element.addEventListener('focusin', () => { this.pauseTimer(); });
+    element.addEventListener('focusout', () => { this.resumeTimer(); });
+    return element;
+  }
+
+  /**
+   *  Start the auto-dismiss timer: invoked by DialogManager.showToast().
+   *
+   *  @return A promise resolving to the reason the toast got dismissed.
+   */
+  show() {
+    const promise = new Promise((resolve) => {
+      this.once('dismiss', (e) => { resolve(e.reason); });
+    });
+    this.resumeTimer();
+    return promise;
+  }
+
+  pauseTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.remaining -= Date.now() - this.startedAt;
+    }
+  }
+
+  resumeTimer() {
+    if (this.timer || this.dismissed || !(this.options.duration > 0)) {
+      return;
+    }
+    this.startedAt = Date.now();
+    this.timer = setTimeout(() => { this.dismiss('timeout'); }, Math.max(this.remaining, 0));
+  }
+
+  /**
+   *  Remove the toast.
+   *
+   *  @param reason The reason for dismissing. Defaults to 'dismiss'.
+   */
+  dismiss(reason = 'dismiss') {
+    if (this.dismissed) {
+      return;
+    }
+    this.dismissed = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.element.remove();
+    log.trace("Toast dismissed (%s): %s", reason, this.message);
+    this.dispatchEvent({ type: 'dismiss', toast: this, reason: reason });
+  }
+}
+
+const globalDialogManager = new DialogManager();
+
+/**
+ *  Get the dialog manager used by dialogs that don't specify one.
+ */
+export function getGlobalDialogManager() {
+  return globalDialogManager;
+}
+
+/**
+ *  Show a toast, using the global dialog manager.
+ *
+ *  @param message The message to show, as plain text.
+ *  @param options The options supported by Toast.
+ *
+ *  @return A promise resolving to the reason the toast got dismissed: 'timeout', 'action', 'close' or 'dismiss'.
+ */
+export function toast(message, options = {}) {
+  return globalDialogManager.toast(message, options);
+}
@@ -354,6 +354,60 @@ export function play(setup, animate, fps) {
   });
 }
 
+/**
+ *  Get the longest CSS transition time (duration plus delay) of an element, in milliseconds.
+ *
+ *  Relies on following global objects: window
+ *
+ *  @param element The element to check.
+ */
+export function getTransitionTime(element) {
+  const style = window.getComputedStyle(element);
+  const toMs = (value) => value.split(',').map((v) => parseFloat(v) * (v.trim().endsWith('ms') ? 1 : 1000) || 0);
+  const durations = toMs(style.transitionDuration || '0s');
+  const delays = toMs(style.transitionDelay || '0s');
+  let maxTime = 0;
+  durations.forEach((duration, idx) => {
+    maxTime = Math.max(maxTime, duration + (delays[idx % delays.length] || 0));
+  });
+  return maxTime;
+}
+
+/**
+ *  Wait for the CSS transitions of some elements to finish.
+ *
+ *  Resolves as soon as there are no transitions, and at the latest shortly after the longest transition
+ *  time: transitionend isn't dispatched for transitions that got interrupted or never started.
+ *
+ *  Relies on following global objects: window
+ *
+ *  @param elements The elements whose transitions to wait for.
+ *
+ *  @return A promise that resolves once all transitions are done.
+ */
+export function afterTransitions(...elements) {
+  return Promise.all(elements.map((element) => new Promise((resolve) => {
+    const transitionTime = getTransitionTime(element);
+    if (transitionTime <= 0) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      element.removeEventListener('transitionend', onTransitionEnd);
+      resolve();
+    };
+    const startTime = Date.now();
+    const onTransitionEnd = (event) => { // Dispatched per property: only done once the longest one could have ended
+      if ((event.target === element) && (Date.now() - startTime >= transitionTime - 20)) {
+        done();
+      }
+    };
+    const timer = setTimeout(done, transitionTime + 50);
+    element.addEventListener('transitionend', onTransitionEnd);
+  })));
+}
+
 
 // SWIPE GESTURES
 
@@ -735,4 +789,105 @@ export function htmlToElement(htmlText) {
  */
 export function insertAfter(anchorHtmlEl, newHtmlEl) {
   return anchorHtmlEl.insertAdjacentElement('afterend', newHtmlEl);
-}
\ No newline at end of file
+}
+
+// SAFE HTML
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+/**
+ *  Escape a value for use as HTML text or (quoted) attribute value.
+ *
+ *  @param value The value to escape. Turned into a string first.
+ *  @return The escaped string.
+ */
+export function escapeHtml(value) {
+  return `${value}`.replace(/[&<>"'`]/g, (c) => HTML_ESCAPES[c]);
+}
+
+/**
+ *  Type representing a string of HTML that is safe to include as-is: as created by html`...` or unsafeHtml().
+ */
+export class SafeHtml
+{
+  constructor(htmlText) {
+    this.htmlText = htmlText;
+  }
+
+  toString() {
+    return this.htmlText;
+  }
+}
+
+/**
+ *  Mark a string of HTML as safe to include as-is. Only use for HTML from a trusted source.
+ *
+ *  @param htmlText The HTML text.
+ *  @return A SafeHtml instance.
+ */
+export function unsafeHtml(htmlText) {
+  return new SafeHtml(`${htmlText}`);
+}
+
+function renderHtmlValue(value) {
+  if ((value === null) || (value === undefined) || (value === false)) {
+    return '';
+  }
+  if (value instanceof SafeHtml) {
+    return value.htmlText;
+  }
+  if (Array.isArray(value)) {
+    return value.map(renderHtmlValue).join('');
+  }
+  return escapeHtml(value);
+}
+
+/**
+ *  Tagged template to create HTML with all interpolated values escaped, e.g.
+ *    html`<h1 class="title">${title}</h1>`
+ *
+ *  Values that are SafeHtml (e.g. nested html`...` results) are included as-is, arrays are joined,
+ *  and null, undefined or false are left out.
+ *
+ *  @return A SafeHtml instance.
+ */
+export function html(strings, ...values) {
+  let htmlText = strings[0];
+  for (let i = 0; i < values.length; i++) {
+    htmlText += renderHtmlValue(values[i]) + strings[i + 1];
+  }
+  return new SafeHtml(htmlText);
+}
+
+/**
+ *  Replace the content of an element.
+ *
+ *  @param el The element whose content to replace.
+ *  @param content The new content: a string (used as text), SafeHtml, a DOM node (moved into the element),
+ *                 a <template> element (its content is cloned) or an array of these.
+ */
+export function setContent(el, content) {
+  el.replaceChildren();
+  appendContent(el, content);
+}
+
+function appendContent(el, content) {
+  if ((content === null) || (content === undefined)) {
+    return;
+  }
+  if (Array.isArray(content)) {
+    content.forEach((item) => appendContent(el, item));
+  }
+  else if (content instanceof SafeHtml) {
+    el.insertAdjacentHTML('beforeend', content.htmlText);
+  }
+  else if ((typeof HTMLTemplateElement !== 'undefined') && (content instanceof HTMLTemplateElement)) {
+    el.appendChild(content.content.cloneNode(true));
+  }
+  else if ((typeof Node !== 'undefined') && (content instanceof Node)) {
+    el.appendChild(content);
+  }
+  else {
+    el.appendChild(document.createTextNode(`${content}`));
+  }
+}
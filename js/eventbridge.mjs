@@ -0,0 +1,193 @@
+import * as log from './log.mjs';
+import { getGlobalEventEmitter } from './events.mjs';
+
+// Mirroring events across JS realms: other tabs (via BroadcastChannel) or workers (via postMessage).
+
+// Marks messages as coming from an event bridge, so other messages on the same channel are ignored
+const BRIDGE_MESSAGE_TAG = 'hinolugi-event-bridge';
+
+/**
+ *  Create a copy of an event that can be posted: only properties with plain data are kept.
+ *  Values like DOM elements, functions or class instances (e.g. a 'dialog' property) are dropped.
+ *
+ *  @param event The event to serialize.
+ *
+ *  @return A plain object.
+ */
+export function serializeEvent(event) {
+  const serialized = {};
+  for (let key of Object.keys(event)) {
+    const value = event[key];
+    if ((value === null) || [ 'string', 'number', 'boolean' ].includes(typeof value)) {
+      serialized[key] = value;
+    }
+    else if (value instanceof Date) {
+      serialized[key] = value.toISOString();
+    }
+    else if (Array.isArray(value) || (Object.getPrototypeOf(value) === Object.prototype)) {
+      try {
+        serialized[key] = JSON.parse(JSON.stringify(value));
+      }
+      catch (err) { // E.g. circular structures: drop
+        log.trace("Dropping property '%s' of event '%s' when serializing: %O", key, event.type, err);
+      }
+    }
+  }
+  return serialized;
+}
+
+/**
+ *  Generate a reasonably unique ID for a bridge, used to tag the origin of events.
+ */
+function generateBridgeId() {
+  if ((typeof crypto !== 'undefined') && (typeof crypto.randomUUID === 'function')) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`;
+}
+
+/**
+ *  Type representing a bridge mirroring selected event types between an event emitter and a message channel.
+ *
+ *  The channel can be:
+ *    - a BroadcastChannel, or the name of one: to reach other tabs and windows of the same origin.
+ *    - a Worker, a MessagePort or a DedicatedWorkerGlobalScope ('self' inside a worker): to reach a Web Worker.
+ *    - a Node worker_threads Worker or parentPort: to reach a Node worker thread.
+ *
+ *  Mirrored events get an 'origin' property: the ID of the bridge that sent them. Events received from a channel
+ *  are not sent back, and messages that a bridge receives from itself are ignored.
+ *  Both sides of a channel need their own bridge for the same event types.
+ */
+export class EventBridge
+{
+  /**
+   *  Create the bridge. Call start() to start mirroring.
+   *
+   *  @param channel The channel to mirror events over, or the name of a BroadcastChannel.
+   *  @param options Following options are available:
+   *                  'types': the event types to mirror, possibly wildcards like 'dialog:*'. Defaults to none.
+   *                  'emitter': the event emitter to mirror events of. Defaults to the global event emitter.
+   *                  'id': the ID to tag events with as origin. Defaults to a random ID.
+   *                  'forwardLogs': whether to also send all log events, to be received as events of type 'log'
+   *                                 with the (serialized) log event as 'logEvent' property. Defaults to false.
+   *                                 Like any log handler, this takes over from log.defaultHandler(): register a
+   *                                 ConsoleTransport as well to keep console output.
+   *                  'serialize': the function to turn an event into something that can be posted. Defaults to serializeEvent.
+   */
+  constructor(channel, options = {}) {
+    this.ownsChannel = (typeof channel === 'string');
+    this.channel = this.ownsChannel ? new BroadcastChannel(channel) : channel;
+    this.types = options.types || [];
+    this.emitter = options.emitter || getGlobalEventEmitter();
+    this.id = options.id || generateBridgeId();
+    this.forwardLogs = !!options.forwardLogs;
+    this.serialize = options.serialize || serializeEvent;
+    this.started = false;
+    this.onLocalEvent = this.onLocalEvent.bind(this);
+    this.onLogEvent = this.onLogEvent.bind(this);
+    this.onMessageEvent = (messageEvent) => { this.onMessage(messageEvent.data); };
+    this.onMessage = this.onMessage.bind(this);
+  }
+
+  /**
+   *  Start mirroring events.
+   *
+   *  @return This bridge.
+   */
+  start() {
+    if (this.started) {
+      return this;
+    }
+    this.started = true;
+    for (let type of this.types) {
+      this.emitter.addEventListener(type, this.onLocalEvent);
+    }
+    if (this.forwardLogs) {
+      log.addLogHandler(this.onLogEvent);
+    }
+    if (typeof this.channel.addEventListener === 'function') {
+      this.channel.addEventListener('message', this.onMessageEvent);
+      if (typeof this.channel.start === 'function') { // MessagePorts only deliver messages once started
+        this.channel.start();
+      }
+    }
+    else { // Node worker_threads Worker
+      this.channel.on('message', this.onMessage);
+    }
+    return this;
+  }
+
+  /**
+   *  Stop mirroring events. A BroadcastChannel created by this bridge is closed.
+   */
+  stop() {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+    for (let type of this.types) {
+      this.emitter.removeEventListener(type, this.onLocalEvent);
+    }
+    if (this.forwardLogs) {
+      log.removeLogHandler(this.onLogEvent);
+    }
+    if (typeof this.channel.removeEventListener === 'function') {
+      this.channel.removeEventListener('message', this.onMessageEvent);
+    }
+    else {
+      this.channel.off('message', this.onMessage);
+    }
+    if (this.ownsChannel) {
+      this.channel.close();
+    }
+  }
+
+  onLocalEvent(event) {
+    if (event.origin && (event.origin !== this.id)) { // Received from elsewhere: don't echo
+      return;
+    }
+    this.post({ event: Object.assign(this.serialize(event), { origin: this.id }) });
+  }
+
+  onLogEvent(logEvent) {
+    if (logEvent.origin) { // Received from elsewhere: don't echo
+      return;
+    }
+    const serialized = {
+      id: logEvent.id,
+      time: logEvent.time.toISOString(),
+      name: logEvent.name,
+      level: logEvent.level,
+      message: log.formatMessage(logEvent.message, logEvent.args || []),
+      args: [],
+      context: log.redact(logEvent.context || {})
+    };
+    this.post({ event: { type: 'log', origin: this.id, logEvent: serialized } });
+  }
+
+  post(message) {
+    try {
+      this.channel.postMessage(Object.assign({ tag: BRIDGE_MESSAGE_TAG, origin: this.id }, message));
+    }
+    catch (err) {
+      // Report directly to the console: when forwarding logs, logging would just come back here
+      log.defaultHandler({
+        time: new Date(),
+        level: log.WARNING_LEVEL,
+        message: 'Event bridge %s failed to post message: %O',
+        args: [ this.id, err ]
+      });
+    }
+  }
+
+  onMessage(data) {
+    if (!data || (data.tag !== BRIDGE_MESSAGE_TAG) || (data.origin === this.id) || !data.event) {
+      return;
+    }
+    const event = Object.assign({}, data.event, { origin: data.origin });
+    if (event.logEvent) {
+      event.logEvent.origin = data.origin;
+    }
+    this.emitter.dispatchEvent(event);
+  }
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageChannel } from 'node:worker_threads';
+import * as log from './log.mjs';
+import { EventEmitter } from './events.mjs';
+import { EventBridge } from './eventbridge.mjs';
+
+test('EventBridge mirrors events to the other side of a channel', async (t) => {
+  const { port1, port2 } = new MessageChannel();
+  const local = new EventEmitter();
+  const remote = new EventEmitter();
+  const localBridge = new EventBridge(port1, { types: [ 'dialog:*' ], emitter: local, id: 'local' }).start();
+  const remoteBridge = new EventBridge(port2, { types: [ 'dialog:*' ], emitter: remote, id: 'remote' }).start();
+  t.after(() => {
+    localBridge.stop();
+    remoteBridge.stop();
+    port1.close();
+  });
+  const received = new Promise((resolve) => { remote.once('dialog:open', resolve); });
+  local.dispatchEvent({ type: 'dialog:open', id: 'confirm', dialog: new EventEmitter() });
+  const event = await received;
+  assert.equal(event.origin, 'local');
+  assert.equal(event.id, 'confirm');
+  assert.equal(event.dialog, undefined);
+});
+
+test('EventBridge reports failing posts without logging through itself', (t) => {
+  const warnMock = t.mock.method(console, 'warn', () => {});
+  const channel = {
+    addEventListener() {},
+    removeEventListener() {},
+    postMessage() { throw new Error('channel closed'); }
+  };
+  const bridge = new EventBridge(channel, { emitter: new EventEmitter(), forwardLogs: true }).start();
+  try {
+    log.info('forwarded');
+  }
+  finally {
+    bridge.stop();
+  }
+  assert.equal(warnMock.mock.callCount(), 1);
+});
@@ -4,30 +4,157 @@ import * as log from './log.mjs';
 
 /**
  *  A class with objects capable of keeping track of and firing typed events.
+ *
+ *  Event types can be namespaced using colons, e.g. 'dialog:open'. Listeners can subscribe to all events
+ *  within a namespace using a wildcard, e.g. 'dialog:*', or to all events using '*'.
  */
 export class EventEmitter 
 {
-  constructor() {
-    this.eventListeners = {};
+  /**
+   *  Create the event emitter.
+   *
+   *  @param options Following options are available:
+   *                  'errorPolicy': what to do when a callback fails, see setErrorPolicy(). Defaults to 'swallow'.
+   *                  'aggregateErrors': whether to report all failures of a single dispatch as one AggregateError. Defaults to false.
+   *                  'maxListeners': the number of callbacks for a single event type above which a warning is logged,
+   *                                  to help detect leaks. Defaults to 10. Use 0 for no limit.
+   */
+  constructor(options = {}) {
+    this.eventListeners = {}; // Event type -> array of listener objects { callback, once, priority, signal, onAbort }, highest priority first
+    this.setErrorPolicy(options.errorPolicy || 'swallow', !!options.aggregateErrors);
+    this.setMaxListeners(options.hasOwnProperty('maxListeners') ? options.maxListeners : DEFAULT_MAX_LISTENERS);
+    this.eventSchemas = {}; // Event type -> schema
+  }
+
+  /**
+   *  Register a schema for an event type. In development mode (see setDevMode()), dispatched events
+   *  of that type are validated against it and problems are logged as warnings. The event is still dispatched.
+   *
+   *  @param eventType The exact event type to register the schema for.
+   *  @param schema Either:
+   *                 - a validator function accepting the event and returning true (or nothing) when valid,
+   *                   or a problem description (or an array of them) when not.
+   *                 - a field spec: an object mapping each allowed field to its expected type. A type is one of
+   *                   'string', 'number', 'boolean', 'object', 'array', 'function', 'date' or 'any', or a class
+   *                   (checked via instanceof), or an object { type, optional } for fields that may be missing.
+   *                   Fields not in the spec are reported, except 'type', 'origin' and 'cancelable'.
+   *                 Pass null to unregister the schema.
+   */
+  defineEventSchema(eventType, schema) {
+    if ((schema !== null) && (typeof schema !== 'function') && (typeof schema !== 'object')) {
+      throw new TypeError("schema for defineEventSchema(eventType, schema) must be a function, an object or null");
+    }
+    if (schema) {
+      this.eventSchemas[eventType] = schema;
+    }
+    else {
+      delete this.eventSchemas[eventType];
+    }
+  }
+
+  /**
+   *  Validate an event against the schema registered for its type.
+   *
+   *  @param event The event to validate.
+   *
+   *  @return An array of problem descriptions: empty if valid or if there is no schema.
+   */
+  validateEvent(event) {
+    const schema = this.eventSchemas[event.type];
+    if (!schema) {
+      return [];
+    }
+    if (typeof schema === 'function') {
+      const outcome = schema(event);
+      if ((outcome === undefined) || (outcome === true)) {
+        return [];
+      }
+      if (outcome === false) {
+        return [ 'rejected by validator' ];
+      }
+      return Array.isArray(outcome) ? outcome : [ `${outcome}` ];
+    }
+    return validateFields(event, schema);
+  }
+
+  /**
+   *  Set the number of callbacks for a single event type above which a warning is logged.
+   *
+   *  @param max The maximum number of callbacks. Use 0 for no limit.
+   */
+  setMaxListeners(max) {
+    this.maxListeners = max;
+    this.maxListenersWarned = new Set(); // Warn only once per event type
+  }
+
+  /**
+   *  Determine what happens when a callback fails during dispatch.
+   *
+   *  @param policy One of:
+   *                 'swallow': ignore the failure, only logging it at trace level.
+   *                 'log': log the failure at error level.
+   *                 'rethrow': throw the failure from dispatchEvent() (or reject the promise from dispatchEventAsync()).
+   *                            Without aggregation, the first failure stops the dispatch.
+   *                 'error-event': dispatch an event of type 'error' with properties 'error' and 'event' (the failed event).
+   *                                Falls back to logging at error level when there are no 'error' listeners or when these fail.
+   *  @param aggregateErrors Whether to first invoke all callbacks and then report all failures as one AggregateError.
+   */
+  setErrorPolicy(policy, aggregateErrors = false) {
+    if (!ERROR_POLICIES.includes(policy)) {
+      throw new TypeError(`policy for setErrorPolicy(policy, aggregateErrors) must be one of: ${ERROR_POLICIES.join(', ')}`);
+    }
+    this.errorPolicy = policy;
+    this.aggregateErrors = aggregateErrors;
   }
 
   /**
    *  Register a callback for a custom event.
    *
-   *  @param eventType The event to register for.
+   *  @param eventType The event to register for. Can be a wildcard: 'namespace:*' or '*'.
    *  @param callback The function to invoke when the event occurs.
+   *  @param options Following options are available:
+   *                  'once': if true, the callback is unregistered after its first invocation.
+   *                  'signal': an AbortSignal that unregisters the callback when aborted.
+   *                  'priority': callbacks with a higher priority are invoked first. Defaults to 0.
+   *                              Callbacks with the same priority are invoked in registration order.
    */
-  addEventListener(eventType, callback) {
+  addEventListener(eventType, callback, options = {}) {
     if (typeof eventType !== 'string') {
       throw new TypeError("eventType for addEventListener(eventType, callback) must be a string");
     }
     if (typeof callback !== 'function') {
       throw new TypeError("callback for addEventListener(eventType, callback) must be a function");
     }
+    const signal = options.signal;
+    if (signal && signal.aborted) {
+      return;
+    }
+    const listener = { callback: callback, once: !!options.once, priority: +options.priority || 0, signal: signal || null, onAbort: null };
+    if (signal) {
+      listener.onAbort = () => { this.removeListener(eventType, listener); };
+      signal.addEventListener('abort', listener.onAbort, { once: true });
+    }
     if (!(eventType in this.eventListeners)) {
       this.eventListeners[eventType] = [];
     }
-    this.eventListeners[eventType].push(callback);
+    const listeners = this.eventListeners[eventType];
+    const insertIdx = listeners.findIndex((it) => it.priority < listener.priority);
+    listeners.splice((insertIdx >= 0) ? insertIdx : listeners.length, 0, listener);
+    if ((this.maxListeners > 0) && (listeners.length > this.maxListeners) && !this.maxListenersWarned.has(eventType)) {
+      this.maxListenersWarned.add(eventType);
+      log.warn("Possible listener leak: %d callbacks registered for event type '%s' (max: %d)", listeners.length, eventType, this.maxListeners);
+    }
+  }
+
+  /**
+   *  Register a callback for a custom event, to be invoked at most once.
+   *
+   *  @param eventType The event to register for. Can be a wildcard: 'namespace:*' or '*'.
+   *  @param callback The function to invoke when the event occurs.
+   *  @param options The same options as for addEventListener().
+   */
+  once(eventType, callback, options = {}) {
+    this.addEventListener(eventType, callback, Object.assign({}, options, { once: true }));
   }
 
   /**
@@ -45,18 +172,98 @@ export class EventEmitter
     if (!(eventType in this.eventListeners)) {
       return false;
     }
-    let typedSpecificCallbacks = this.eventListeners[eventType];
-    for (let i = 0; i < typedSpecificCallbacks.length; i++) {
-      if (typedSpecificCallbacks[i] === callback) {
-        typedSpecificCallbacks.splice(i, 1);
-        return true;
+    const listener = this.eventListeners[eventType].find((it) => it.callback === callback);
+    return listener ? this.removeListener(eventType, listener) : false;
+  }
+
+  removeListener(eventType, listener) {
+    const listeners = this.eventListeners[eventType];
+    const idx = listeners ? listeners.indexOf(listener) : -1;
+    if (idx < 0) {
+      return false;
+    }
+    listeners.splice(idx, 1);
+    if (listeners.length === 0) {
+      delete this.eventListeners[eventType];
+    }
+    if (listener.signal) {
+      listener.signal.removeEventListener('abort', listener.onAbort);
+    }
+    return true;
+  }
+
+  /**
+   *  Unregister all callbacks, either for one event type or for all of them.
+   *
+   *  @param eventType The event type to unregister all callbacks for. If not specified, all callbacks are unregistered.
+   *
+   *  @return The number of callbacks removed.
+   */
+  removeAllListeners(eventType) {
+    const eventTypes = (eventType === undefined) ? this.eventTypes() : [ eventType ];
+    let removed = 0;
+    for (let type of eventTypes) {
+      for (let listener of (this.eventListeners[type] || []).slice()) {
+        if (this.removeListener(type, listener)) {
+          removed += 1;
+        }
       }
     }
-    return false;
+    return removed;
   }
 
   /**
-   *  Dispatch an event of a specific type to all registered callbacks.
+   *  Count the registered callbacks.
+   *
+   *  @param eventType The exact event type (including wildcards) to count callbacks for. If not specified, all callbacks are counted.
+   *
+   *  @return The number of callbacks.
+   */
+  listenerCount(eventType) {
+    if (eventType === undefined) {
+      return this.eventTypes().reduce((count, type) => count + this.eventListeners[type].length, 0);
+    }
+    return (this.eventListeners[eventType] || []).length;
+  }
+
+  /**
+   *  Get the event types having registered callbacks.
+   *
+   *  @return An array of event types, including wildcards.
+   */
+  eventTypes() {
+    return Object.keys(this.eventListeners);
+  }
+
+  /**
+   *  Get the listeners that apply to an event type, highest priority first. For the same priority: the exact ones first,
+   *  then those for the enclosing namespace wildcards, from most to least specific, and finally those for '*'.
+   *
+   *  @return An array of { eventType, listener } objects.
+   */
+  matchingListeners(eventType) {
+    const types = [ eventType ];
+    let namespace = eventType;
+    let colonIdx;
+    while ((colonIdx = namespace.lastIndexOf(':')) > 0) {
+      namespace = namespace.substring(0, colonIdx);
+      types.push(`${namespace}:*`);
+    }
+    if (eventType !== '*') {
+      types.push('*');
+    }
+    const matches = [];
+    for (let type of types) {
+      for (let listener of (this.eventListeners[type] || [])) {
+        matches.push({ eventType: type, listener: listener });
+      }
+    }
+    return matches.sort((a, b) => b.listener.priority - a.listener.priority); // Stable, so keeps the order for the same priority
+  }
+
+  /**
+   *  Dispatch an event of a specific type to all registered callbacks, including those registered via wildcards.
+   *  A callback can prevent the remaining callbacks from being invoked by calling event.stopImmediatePropagation().
    *
    *  @param event The event to dispatch. Must minimally have a 'type' property.
    *  @param thisObject The object to call the callback on.
@@ -64,34 +271,336 @@ export class EventEmitter
    *  @return The number of callbacks invoked successfully.
    */
   dispatchEvent(event, thisObject = null) {
-    if (!(event.type in this.eventListeners)) {
-      return 0;
-    }
+    this.checkEvent(event);
+    prepareEvent(event);
     let calls = 0;
-    let typedSpecificCallbacks = this.eventListeners[event.type].slice(); // Take a copy
-    for (let i = 0; i < typedSpecificCallbacks.length; i++) {
+    const errors = [];
+    for (let match of this.matchingListeners(event.type)) { // A copy, so listeners can safely (un)register
+      if (event[PROPAGATION_STOPPED]) {
+        break;
+      }
+      if (!this.claimListener(match)) {
+        continue;
+      }
       try {
-        typedSpecificCallbacks[i].call(thisObject, event);
+        match.listener.callback.call(thisObject, event);
         calls += 1;
       }
       catch (err) {
-        log.trace("Callback failed for event: %O: %O", event, err);
+        if (this.stopsAtFirstError()) {
+          throw err;
+        }
+        errors.push(err);
       }
     }
+    this.handleErrors(event, errors);
     return calls;
   }
+
+  /**
+   *  Dispatch an event of a specific type to all registered callbacks, awaiting the promises they return.
+   *
+   *  Listeners can veto the event by calling event.preventDefault(), unless the event has 'cancelable' set to false.
+   *  In serial mode, a callback can prevent the remaining callbacks from being invoked by calling event.stopImmediatePropagation().
+   *
+   *  @param event The event to dispatch. Must minimally have a 'type' property.
+   *  @param options Following options are available:
+   *                  'mode': 'serial' (the default) to await each callback before invoking the next one,
+   *                          or 'parallel' to invoke all callbacks at once and await them together.
+   *                  'thisObject': the object to call the callbacks on.
+   *
+   *  @return A promise resolving to an object with properties:
+   *            'calls': the number of callbacks invoked successfully.
+   *            'results': the values returned or resolved by the successful callbacks.
+   *            'errors': the errors thrown or rejected by the failed callbacks.
+   *            'defaultPrevented': whether a listener called event.preventDefault().
+   */
+  async dispatchEventAsync(event, options = {}) {
+    this.checkEvent(event);
+    prepareEvent(event);
+    const thisObject = options.thisObject || null;
+    const matches = this.matchingListeners(event.type);
+    let outcomes;
+    if (options.mode === 'parallel') {
+      const claimed = matches.filter((match) => this.claimListener(match));
+      outcomes = await Promise.allSettled(claimed.map(async (match) => match.listener.callback.call(thisObject, event)));
+    }
+    else {
+      outcomes = [];
+      for (let match of matches) {
+        if (event[PROPAGATION_STOPPED]) {
+          break;
+        }
+        if (!this.claimListener(match)) {
+          continue;
+        }
+        try {
+          outcomes.push({ status: 'fulfilled', value: await match.listener.callback.call(thisObject, event) });
+        }
+        catch (err) {
+          if (this.stopsAtFirstError()) {
+            throw err;
+          }
+          outcomes.push({ status: 'rejected', reason: err });
+        }
+      }
+    }
+    const results = [];
+    const errors = [];
+    for (let outcome of outcomes) {
+      if (outcome.status === 'fulfilled') {
+        results.push(outcome.value);
+      }
+      else {
+        errors.push(outcome.reason);
+      }
+    }
+    this.handleErrors(event, errors);
+    return { calls: results.length, results: results, errors: errors, defaultPrevented: event.defaultPrevented };
+  }
+
+  /**
+   *  In development mode: validate an event and log any problems found.
+   */
+  checkEvent(event) {
+    if (!devMode) {
+      return;
+    }
+    const problems = this.validateEvent(event);
+    if (problems.length > 0) {
+      log.warn("Invalid '%s' event: %s", event.type, problems.join('; '));
+    }
+  }
+
+  stopsAtFirstError() {
+    return (this.errorPolicy === 'rethrow') && !this.aggregateErrors;
+  }
+
+  /**
+   *  Report the failures of a single dispatch as per the error policy.
+   */
+  handleErrors(event, errors) {
+    if (errors.length === 0) {
+      return;
+    }
+    if (this.aggregateErrors) {
+      errors = [ new AggregateError(errors, `${errors.length} callback(s) failed for event '${event.type}'`) ];
+    }
+    switch (this.errorPolicy) {
+      case 'rethrow':
+        throw errors[0];
+      case 'error-event':
+        if ((event.type !== 'error') && (this.matchingListeners('error').length > 0)) {
+          for (let err of errors) {
+            this.dispatchEvent({ type: 'error', error: err, event: event });
+          }
+          return;
+        }
+        // Otherwise: nobody to report to, or reporting itself failed
+        for (let err of errors) {
+          log.error("Callback failed for event: %O: %O", event, err);
+        }
+        return;
+      case 'log':
+        for (let err of errors) {
+          log.error("Callback failed for event: %O: %O", event, err);
+        }
+        return;
+      default:
+        for (let err of errors) {
+          log.trace("Callback failed for event: %O: %O", event, err);
+        }
+    }
+  }
+
+  /**
+   *  Check whether a listener from matchingListeners() should be invoked now. One that should only be invoked once
+   *  is unregistered right before its invocation, so it is not lost when the dispatch stops early, and skipped when
+   *  already invoked (or unregistered) meanwhile, e.g. by a nested dispatch.
+   *
+   *  @param match An object { eventType, listener } as returned by matchingListeners().
+   *
+   *  @return True if the listener should be invoked.
+   */
+  claimListener(match) {
+    return !match.listener.once || this.removeListener(match.eventType, match.listener);
+  }
+}
+
+// Development mode: by default enabled on Node unless NODE_ENV is 'production', and in the browser when served from localhost
+let devMode = ((typeof process !== 'undefined') && process.env) ?
+                (process.env.NODE_ENV !== 'production') :
+                ((typeof location !== 'undefined') && [ 'localhost', '127.0.0.1', '[::1]' ].includes(location.hostname));
+
+/**
+ *  Enable or disable development mode, in which dispatched events are validated against their schemas.
+ *
+ *  @param enabled Whether development mode is enabled.
+ */
+export function setDevMode(enabled) {
+  devMode = !!enabled;
+}
+
+/**
+ *  Check whether development mode is enabled.
+ */
+export function isDevMode() {
+  return devMode;
+}
+
+// Fields any event may have, without being in its schema
+const ALWAYS_ALLOWED_FIELDS = [ 'type', 'origin', 'cancelable' ];
+
+/**
+ *  Validate the fields of an event against a field spec.
+ *
+ *  @return An array of problem descriptions.
+ */
+function validateFields(event, fieldSpec) {
+  const problems = [];
+  for (let field of Object.keys(fieldSpec)) {
+    let expected = fieldSpec[field];
+    let optional = false;
+    if (expected && (typeof expected === 'object')) {
+      optional = !!expected.optional;
+      expected = expected.type || 'any';
+    }
+    if (!(field in event) || (event[field] === undefined)) {
+      if (!optional) {
+        problems.push(`missing field '${field}'`);
+      }
+      continue;
+    }
+    if (!hasType(event[field], expected)) {
+      const expectedName = (typeof expected === 'function') ? expected.name : expected;
+      problems.push(`field '${field}' should be of type ${expectedName}`);
+    }
+  }
+  for (let field of Object.keys(event)) {
+    if (!(field in fieldSpec) && !ALWAYS_ALLOWED_FIELDS.includes(field)) {
+      const suggestion = Object.keys(fieldSpec).find((known) => editDistance(field, known) <= 2);
+      problems.push(`unknown field '${field}'` + (suggestion ? ` (did you mean '${suggestion}'?)` : ''));
+    }
+  }
+  return problems;
+}
+
+function hasType(value, expected) {
+  if (typeof expected === 'function') {
+    return value instanceof expected;
+  }
+  switch (expected) {
+    case 'any':    return true;
+    case 'array':  return Array.isArray(value);
+    case 'date':   return value instanceof Date;
+    case 'object': return (value !== null) && (typeof value === 'object') && !Array.isArray(value);
+    default:       return typeof value === expected;
+  }
+}
+
+/**
+ *  The Levenshtein distance between two strings.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [ i ];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + ((a[i - 1] === b[j - 1]) ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const ERROR_POLICIES = [ 'swallow', 'log', 'rethrow', 'error-event' ];
+const DEFAULT_MAX_LISTENERS = 10;
+const PROPAGATION_STOPPED = Symbol('propagationStopped');
+
+/**
+ *  Ensure an event supports preventDefault() and stopImmediatePropagation(): unless it already does, add a 'defaultPrevented'
+ *  property and these methods, all non-enumerable so they don't show up when serializing the event.
+ */
+function prepareEvent(event) {
+  if (!(PROPAGATION_STOPPED in event)) { // Not dispatched before
+    Object.defineProperty(event, PROPAGATION_STOPPED, { value: false, writable: true, configurable: true });
+    const origStopImmediatePropagation = event.stopImmediatePropagation;
+    Object.defineProperty(event, 'stopImmediatePropagation', {
+      value: function() {
+        event[PROPAGATION_STOPPED] = true;
+        if (typeof origStopImmediatePropagation === 'function') { // E.g. for DOM events
+          origStopImmediatePropagation.call(event);
+        }
+      },
+      configurable: true
+    });
+  }
+  event[PROPAGATION_STOPPED] = false;
+  if (typeof event.preventDefault !== 'function') {
+    Object.defineProperty(event, 'defaultPrevented', { value: false, writable: true, configurable: true });
+    Object.defineProperty(event, 'preventDefault', {
+      value: function() {
+        if (event.cancelable !== false) {
+          event.defaultPrevented = true;
+        }
+      },
+      configurable: true
+    });
+  }
 }
 
 const globalEventEmitter = new EventEmitter();
 
+/**
+ *  Get the event emitter used for the global callbacks.
+ *
+ *  @return The global event emitter.
+ */
+export function getGlobalEventEmitter() {
+  return globalEventEmitter;
+}
+
+/**
+ *  Register a schema for a globally dispatched event type.
+ *
+ *  @param eventType The exact event type to register the schema for.
+ *  @param schema A validator function, a field spec or null: see EventEmitter.defineEventSchema().
+ */
+export function defineEventSchema(eventType, schema) {
+  globalEventEmitter.defineEventSchema(eventType, schema);
+}
+
+/**
+ *  Determine what happens when a global callback fails during dispatch.
+ *
+ *  @param policy One of 'swallow', 'log', 'rethrow' or 'error-event': see EventEmitter.setErrorPolicy().
+ *  @param aggregateErrors Whether to report all failures of a single dispatch as one AggregateError.
+ */
+export function setErrorPolicy(policy, aggregateErrors = false) {
+  globalEventEmitter.setErrorPolicy(policy, aggregateErrors);
+}
+
 /**
  *  Register a global callback for a custom event.
  *
- *  @param eventType The event to register for.
+ *  @param eventType The event to register for. Can be a wildcard: 'namespace:*' or '*'.
+ *  @param callback The function to invoke when the event occurs.
+ *  @param options The same options as for EventEmitter.addEventListener().
+ */
+export function addEventListener(eventType, callback, options = {}) {
+  return globalEventEmitter.addEventListener(eventType, callback, options);
+}
+
+/**
+ *  Register a global callback for a custom event, to be invoked at most once.
+ *
+ *  @param eventType The event to register for. Can be a wildcard: 'namespace:*' or '*'.
  *  @param callback The function to invoke when the event occurs.
+ *  @param options The same options as for EventEmitter.addEventListener().
  */
-export function addEventListener(eventType, callback) {
-  return globalEventEmitter.addEventListener(eventType, callback);
+export function once(eventType, callback, options = {}) {
+  return globalEventEmitter.once(eventType, callback, options);
 }
 
 /**
@@ -117,3 +626,15 @@ export function removeEventListener(eventType, callback) {
 export function dispatchEvent(event, thisObject = null) {
   return globalEventEmitter.dispatchEvent(event, thisObject);
 }
+
+/**
+ *  Dispatch an event of a specific type to all globally registered callbacks, awaiting the promises they return.
+ *
+ *  @param event The event to dispatch. Must minimally have a 'type' property.
+ *  @param options The same options as for EventEmitter.dispatchEventAsync().
+ *
+ *  @return A promise resolving to the same result as for EventEmitter.dispatchEventAsync().
+ */
+export function dispatchEventAsync(event, options = {}) {
+  return globalEventEmitter.dispatchEventAsync(event, options);
+}
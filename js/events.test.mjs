@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from './events.mjs';
+
+test('once-listeners skipped by stopImmediatePropagation() remain registered', () => {
+  const emitter = new EventEmitter();
+  const calls = [];
+  emitter.addEventListener('ping', (e) => { calls.push('a'); e.stopImmediatePropagation(); }, { priority: 1 });
+  emitter.once('ping', () => { calls.push('once'); });
+  emitter.dispatchEvent({ type: 'ping' });
+  emitter.dispatchEvent({ type: 'ping' });
+  assert.deepEqual(calls, [ 'a', 'a' ]);
+  assert.equal(emitter.listenerCount('ping'), 2);
+});
+
+test('once-listeners skipped by a rethrown failure remain registered', () => {
+  const emitter = new EventEmitter({ errorPolicy: 'rethrow' });
+  const calls = [];
+  let fail = true;
+  emitter.addEventListener('ping', () => {
+    if (fail) {
+      throw new Error('failed');
+    }
+  }, { priority: 1 });
+  emitter.once('ping', () => { calls.push('once'); });
+  assert.throws(() => emitter.dispatchEvent({ type: 'ping' }), /failed/);
+  fail = false;
+  emitter.dispatchEvent({ type: 'ping' });
+  emitter.dispatchEvent({ type: 'ping' });
+  assert.deepEqual(calls, [ 'once' ]);
+});
+
+test('once-listeners are invoked only once when dispatching from a callback', () => {
+  const emitter = new EventEmitter();
+  const calls = [];
+  emitter.addEventListener('ping', (e) => {
+    if (!e.nested) {
+      emitter.dispatchEvent({ type: 'ping', nested: true });
+    }
+  }, { priority: 1 });
+  emitter.once('ping', (e) => { calls.push(e.nested ? 'nested' : 'outer'); });
+  emitter.dispatchEvent({ type: 'ping' });
+  assert.deepEqual(calls, [ 'nested' ]);
+});
+
+test('dispatchEventAsync() keeps once-listeners skipped by stopImmediatePropagation()', async () => {
+  const emitter = new EventEmitter();
+  const calls = [];
+  emitter.addEventListener('ping', async (e) => { calls.push('a'); e.stopImmediatePropagation(); }, { priority: 1 });
+  emitter.once('ping', async () => { calls.push('once'); });
+  await emitter.dispatchEventAsync({ type: 'ping' });
+  assert.equal(emitter.listenerCount('ping'), 2);
+  const outcome = await emitter.dispatchEventAsync({ type: 'ping' }, { mode: 'parallel' });
+  assert.equal(outcome.calls, 2);
+  assert.deepEqual(calls, [ 'a', 'a', 'once' ]);
+  assert.equal(emitter.listenerCount('ping'), 1);
+});
+
+test('wildcard and priority ordering', () => {
+  const emitter = new EventEmitter();
+  const calls = [];
+  emitter.addEventListener('*', () => { calls.push('*'); });
+  emitter.addEventListener('dialog:*', () => { calls.push('dialog:*'); });
+  emitter.addEventListener('dialog:open', () => { calls.push('dialog:open'); });
+  emitter.addEventListener('dialog:open', () => { calls.push('first'); }, { priority: 5 });
+  assert.equal(emitter.dispatchEvent({ type: 'dialog:open' }), 4);
+  assert.deepEqual(calls, [ 'first', 'dialog:open', 'dialog:*', '*' ]);
+});
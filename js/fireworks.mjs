@@ -20,6 +20,10 @@ const MAX_PARTICLE_TRAIL = 10;
 
 // Global state
 
+// Called from the animation loop: collapse the otherwise per-frame repeated trace messages
+const logger = log.getLogger('fireworks');
+logger.config({ 'collapse-repeats': true });
+
 // Keep track of all fireworks managed, together with their canvas
 let fireworksIdGenerator = 0;
 const fireworksById = new Map();
@@ -181,7 +185,7 @@ class FireworkBox {
     this._fireworks.push(new Firework(origin, initialVelocity, this._shape, hue, null, this._svgPathId));
     if (this._fireworks.length > this._maxFireworks) {
       this._maxFireworks = this._fireworks.length;
-      log.trace("Reach record number of fireworks: ", this._maxFireworks);
+      logger.trace("Reach record number of fireworks: %d", this._maxFireworks);
     }
   }
 
@@ -1,4 +1,6 @@
 import * as log from './log.mjs';
+import * as utils from './utils.mjs';
+import * as domutils from './domutils.mjs';
 
 // Form related utility functions.
 
@@ -10,13 +12,24 @@ export function isDisabled(el) {
   return el.classList.contains("disabled");
 }
 
+// Elements supporting the native 'disabled' attribute
+const DISABLEABLE_TAGS = [ 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'FIELDSET', 'OPTGROUP', 'OPTION' ];
+
+/**
+ *  Disable an element: form controls (and fieldsets) get the native 'disabled' attribute,
+ *  other elements are made 'inert' so neither they nor their descendants can be focused or clicked.
+ *  Also sets 'aria-disabled', the 'disabled' class and a title explaining why.
+ *
+ *  @param el The element to disable.
+ *  @param disableText The title to show. Defaults to the 'data-disabled-text' attribute or a generic text.
+ */
 export function disable(el, disableText) {
   let title = null;
   if (el.hasAttribute("title")) {
     title = el.getAttribute("title");
   }
   let disabledText = disableText || el.dataset.disabledText || "This element is currently disabled";
-  if (title) {
+  if (title && !el.classList.contains("disabled")) { // Don't take the disabled text as enabled text when disabling twice
     el.dataset.enabledText = title;
   }
   if (disabledText) {
@@ -24,15 +37,38 @@ export function disable(el, disableText) {
     el.setAttribute('title', disabledText);
   }
   el.classList.add("disabled");
+  el.setAttribute("aria-disabled", "true");
+  if (DISABLEABLE_TAGS.includes(el.tagName)) {
+    el.disabled = true;
+  }
+  else {
+    el.inert = true;
+  }
 }
 
+/**
+ *  Enable an element disabled via disable().
+ *
+ *  @param el The element to enable.
+ *  @param enableText The title to show. Defaults to the title the element had before being disabled.
+ */
 export function enable(el, enableText) {
   let enabledText = enableText || el.dataset.enabledText;
   if (enabledText) {
     el.setAttribute("title", enabledText);
     el.dataset.enabledText = enabledText;
   }
+  else if (el.classList.contains("disabled")) {
+    el.removeAttribute("title");
+  }
   el.classList.remove("disabled");
+  el.removeAttribute("aria-disabled");
+  if (DISABLEABLE_TAGS.includes(el.tagName)) {
+    el.disabled = false;
+  }
+  else {
+    el.inert = false;
+  }
 }
 
 export function markValid(el) {
@@ -48,7 +84,7 @@ export function markInvalid(el, errorText) {
   if (inputGroupEl) {
     let errorTextEl = inputGroupEl.querySelector(".error-text");
     if (errorTextEl) {
-      errorTextEl.innerHTML = errorText;
+      errorTextEl.textContent = errorText;
     }
     inputGroupEl.classList.remove("valid");
     inputGroupEl.classList.add("invalid"); 
@@ -94,3 +130,1494 @@ export function handlePasswordDisclosure(el) {
     }
   });
 }
+
+
+// VALIDATION
+
+// Named validators, to be referred to via data-validator or a schema's 'validator'
+const namedValidators = new Map();
+
+const DEFAULT_MESSAGES = {
+  required: "This field is required",
+  min: "Must be at least {min}",
+  max: "Must be at most {max}",
+  minLength: "Must be at least {minLength} characters",
+  maxLength: "Must be at most {maxLength} characters",
+  pattern: "Has an invalid format",
+  email: "Must be a valid email address",
+  equals: "Does not match",
+  validator: "Has an invalid value",
+  validatorFailed: "Could not be validated, please try again"
+};
+
+/**
+ *  Register a named validator, to be used via a 'data-validator' attribute or the 'validator' property of a schema.
+ *
+ *  @param name The name of the validator.
+ *  @param validator A function accepting the field value and an object with properties 'el', 'form' and 'values'
+ *                   (the values of all fields). It should return (a promise of): true, null or undefined when valid,
+ *                   false or an error text when invalid.
+ */
+export function registerValidator(name, validator) {
+  if (typeof validator !== 'function') {
+    throw new TypeError("validator for registerValidator(name, validator) must be a function");
+  }
+  namedValidators.set(name, validator);
+}
+
+/**
+ *  Type validating a form, using rules from data attributes on the fields and/or a schema.
+ *
+ *  Following rules are supported, either as (data) attribute or as property in the schema entry of a field:
+ *    - required: 'required' or 'data-required' attribute, where data-required="false" or "0" means not required
+ *    - min/max: 'min'/'max' or 'data-min'/'data-max' attributes, for numbers and dates
+ *    - minLength/maxLength: 'minlength'/'maxlength' or 'data-min-length'/'data-max-length' attributes
+ *    - pattern: 'pattern' or 'data-pattern' attribute, matching the whole value
+ *    - email: type 'email' or 'data-email' attribute (again except for "false" or "0"), checked via utils.isValidEmailAddress()
+ *    - equals: 'data-equals' attribute with the name of the field that should have the same value
+ *    - validator: 'data-validator' attribute with (space-separated) names of validators registered via registerValidator(),
+ *                 or in a schema also a validator function. Validators can be async. A validator that fails (throws or
+ *                 rejects) makes the field invalid, with the error text of rule 'validatorFailed'.
+ *  The error text of a rule can be overridden via a 'data-error-<rule>' attribute (e.g. 'data-error-min-length')
+ *  or the 'messages' property of the field's schema entry.
+ *
+ *  Errors are shown via markInvalid(), so each field should be in an '.input-group' with an '.error-text' element.
+ */
+export class FormValidator
+{
+  /**
+   *  Create the validator.
+   *
+   *  @param form The form element to validate.
+   *  @param options Following options are available:
+   *                  'schema': object mapping field names to objects with rules, e.g. { age: { required: true, min: 18 } }.
+   *                  'validateOn': array of events to validate on: 'blur', 'input' and/or 'submit'. Defaults to [ 'blur', 'submit' ].
+   *                  'onSubmit': function invoked with the validation result when the form is submitted and valid.
+   *                              If not set, the form is submitted natively.
+   */
+  constructor(form, options = {}) {
+    this.form = form;
+    this.options = Object.assign({
+      schema: {},
+      validateOn: [ 'blur', 'submit' ],
+      onSubmit: null
+    }, options);
+    this.lastResult = null;
+    this.validationCounts = {}; // Per field, to ignore outdated results of async validators
+    this.installed = false;
+    this.onFocusOut = this.onFocusOut.bind(this);
+    this.onInput = this.onInput.bind(this);
+    this.onSubmit = this.onSubmit.bind(this);
+  }
+
+  /**
+   *  Start validating on the events specified by the 'validateOn' option.
+   *
+   *  @return This validator.
+   */
+  install() {
+    if (this.installed) {
+      return this;
+    }
+    this.installed = true;
+    const validateOn = this.options.validateOn;
+    if (validateOn.includes('blur')) {
+      this.form.addEventListener('focusout', this.onFocusOut);
+    }
+    if (validateOn.includes('input')) {
+      this.form.addEventListener('input', this.onInput);
+    }
+    if (validateOn.includes('submit')) {
+      this.form.setAttribute('novalidate', ''); // Show our errors instead of the browser's
+      this.form.addEventListener('submit', this.onSubmit);
+    }
+    return this;
+  }
+
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+    this.installed = false;
+    this.form.removeEventListener('focusout', this.onFocusOut);
+    this.form.removeEventListener('input', this.onInput);
+    this.form.removeEventListener('submit', this.onSubmit);
+  }
+
+  onFocusOut(event) {
+    if (event.target.name) {
+      this.validateFieldAndDependents(event.target.name);
+    }
+  }
+
+  onInput(event) {
+    if (event.target.name) {
+      this.validateFieldAndDependents(event.target.name);
+    }
+  }
+
+  async onSubmit(event) {
+    event.preventDefault(); // Validation may be async: submit afterwards if valid
+    const result = await this.validate();
+    if (!result.valid) {
+      const firstInvalidEl = this.fieldElements(Object.keys(result.errors)[0])[0];
+      if (firstInvalidEl) {
+        firstInvalidEl.focus();
+      }
+      return;
+    }
+    if (this.options.onSubmit) {
+      this.options.onSubmit(result);
+    }
+    else {
+      this.form.submit();
+    }
+  }
+
+  /**
+   *  Get the names of all fields to validate: the named form controls and the fields in the schema.
+   */
+  fieldNames() {
+    const names = new Set();
+    for (let el of this.form.elements) {
+      if (el.name && !isButton(el)) {
+        names.add(el.name);
+      }
+    }
+    for (let name in this.options.schema) {
+      names.add(name);
+    }
+    return Array.from(names);
+  }
+
+  fieldElements(name) {
+    return Array.from(this.form.elements).filter((el) => (el.name === name) && !isButton(el));
+  }
+
+  /**
+   *  Get the value of a field: a string, an array of strings for multi-selects and checkbox groups,
+   *  a boolean for a single checkbox, or null if there is no such field.
+   */
+  fieldValue(name) {
+    const els = this.fieldElements(name);
+    if (els.length === 0) {
+      return null;
+    }
+    const el = els[0];
+    if (el.type === 'checkbox') {
+      return (els.length === 1) ? el.checked : els.filter((it) => it.checked).map((it) => it.value);
+    }
+    if (el.type === 'radio') {
+      const checkedEl = els.find((it) => it.checked);
+      return checkedEl ? checkedEl.value : '';
+    }
+    if (el.multiple && el.options) {
+      return Array.from(el.selectedOptions).map((option) => option.value);
+    }
+    return el.value;
+  }
+
+  fieldValues() {
+    const values = {};
+    for (let name of this.fieldNames()) {
+      values[name] = this.fieldValue(name);
+    }
+    return values;
+  }
+
+  /**
+   *  Get the rules for a field, combining its (data) attributes with its schema entry.
+   */
+  fieldRules(name) {
+    const rules = { messages: {} };
+    const el = this.fieldElements(name)[0];
+    if (el) {
+      const data = el.dataset;
+      const attr = (attrName) => el.hasAttribute(attrName) ? el.getAttribute(attrName) : undefined;
+      rules.required = el.hasAttribute('required') || isFlagSet(data.required);
+      rules.min = firstDefined(data.min, attr('min'));
+      rules.max = firstDefined(data.max, attr('max'));
+      rules.minLength = firstDefined(data.minLength, attr('minlength'));
+      rules.maxLength = firstDefined(data.maxLength, attr('maxlength'));
+      rules.pattern = firstDefined(data.pattern, attr('pattern'));
+      rules.email = (el.type === 'email') || isFlagSet(data.email);
+      rules.equals = data.equals;
+      rules.validator = data.validator ? data.validator.split(/\s+/).filter((it) => it) : undefined;
+      for (let rule in DEFAULT_MESSAGES) {
+        const key = `error${rule.charAt(0).toUpperCase()}${rule.substring(1)}`;
+        if (data[key]) {
+          rules.messages[rule] = data[key];
+        }
+      }
+    }
+    const schemaRules = this.options.schema[name] || {};
+    Object.assign(rules, schemaRules, { messages: Object.assign(rules.messages, schemaRules.messages) });
+    return rules;
+  }
+
+  errorText(rules, rule) {
+    const message = rules.messages[rule] || DEFAULT_MESSAGES[rule];
+    return message.replace(/\{(\w+)\}/g, (match, prop) => (rules[prop] !== undefined) ? `${rules[prop]}` : match);
+  }
+
+  /**
+   *  Check the value of a field against its rules.
+   *
+   *  @return A promise resolving to the error text, or null if valid.
+   */
+  async checkField(name, value, values) {
+    const rules = this.fieldRules(name);
+    const isEmpty = (value === null) || (value === '') || (value === false) || (Array.isArray(value) && (value.length === 0));
+    if (isEmpty) {
+      return rules.required ? this.errorText(rules, 'required') : null; // Other rules only apply to non-empty values
+    }
+    if (typeof value === 'string') {
+      if ((rules.min !== undefined) && (compareValues(value, rules.min) < 0)) {
+        return this.errorText(rules, 'min');
+      }
+      if ((rules.max !== undefined) && (compareValues(value, rules.max) > 0)) {
+        return this.errorText(rules, 'max');
+      }
+      if ((rules.minLength !== undefined) && (value.length < +rules.minLength)) {
+        return this.errorText(rules, 'minLength');
+      }
+      if ((rules.maxLength !== undefined) && (value.length > +rules.maxLength)) {
+        return this.errorText(rules, 'maxLength');
+      }
+      if (rules.pattern !== undefined) {
+        const regex = (rules.pattern instanceof RegExp) ? rules.pattern : new RegExp(`^(?:${rules.pattern})$`, 'u');
+        if (!regex.test(value)) {
+          return this.errorText(rules, 'pattern');
+        }
+      }
+      if (rules.email && !utils.isValidEmailAddress(value)) {
+        return this.errorText(rules, 'email');
+      }
+    }
+    if (rules.equals && (values[rules.equals] !== value)) {
+      return this.errorText(rules, 'equals');
+    }
+    const validators = [].concat(rules.validator || []);
+    for (let validator of validators) {
+      const validatorFn = (typeof validator === 'function') ? validator : namedValidators.get(validator);
+      if (!validatorFn) {
+        log.warn("Unknown validator '%s' for field '%s'", validator, name);
+        continue;
+      }
+      let outcome;
+      try {
+        outcome = await validatorFn(value, { el: this.fieldElements(name)[0] || null, form: this.form, values: values });
+      }
+      catch (err) { // E.g. a failing server check: rather block submitting than let an unchecked value through
+        log.warn("Validator '%s' failed for field '%s': %O", validator.name || validator, name, err);
+        return this.errorText(rules, 'validatorFailed');
+      }
+      if (typeof outcome === 'string') {
+        return outcome;
+      }
+      if (outcome === false) {
+        return this.errorText(rules, 'validator');
+      }
+    }
+    return null;
+  }
+
+  /**
+   *  Validate a single field and show the outcome.
+   *
+   *  @param name The name of the field.
+   *  @param show Whether to show the outcome. Defaults to true.
+   *
+   *  @return A promise resolving to an object with properties 'valid', 'value' and 'error' (null if valid).
+   */
+  async validateField(name, show = true) {
+    const count = this.validationCounts[name] = (this.validationCounts[name] || 0) + 1;
+    const values = this.fieldValues();
+    const error = await this.checkField(name, values[name], values);
+    const fieldResult = { valid: !error, value: values[name], error: error };
+    if (show && (count === this.validationCounts[name])) { // Not outdated by a later validation
+      this.showFieldResult(name, fieldResult);
+    }
+    return fieldResult;
+  }
+
+  async validateFieldAndDependents(name) {
+    await this.validateField(name);
+    for (let otherName of this.fieldNames()) {
+      const otherValue = this.fieldValue(otherName);
+      if ((this.fieldRules(otherName).equals === name) && (otherValue !== '') && (otherValue !== null)) {
+        await this.validateField(otherName);
+      }
+    }
+  }
+
+  showFieldResult(name, fieldResult) {
+    for (let el of this.fieldElements(name)) {
+      if (fieldResult.valid) {
+        markValid(el);
+        el.removeAttribute('aria-invalid');
+      }
+      else {
+        markInvalid(el, fieldResult.error);
+        el.setAttribute('aria-invalid', 'true');
+      }
+    }
+  }
+
+  /**
+   *  Validate all fields and show the outcome. The result is also available as 'lastResult'.
+   *
+   *  @param show Whether to show the outcome. Defaults to true.
+   *
+   *  @return A promise resolving to an object with properties:
+   *            - valid: true if all fields are valid
+   *            - errors: object mapping the names of invalid fields to their error text
+   *            - fields: object mapping all field names to objects with properties 'valid', 'value' and 'error'
+   *            - values: object mapping all field names to their value
+   */
+  async validate(show = true) {
+    const values = this.fieldValues();
+    const result = { valid: true, errors: {}, fields: {}, values: values };
+    for (let name of this.fieldNames()) {
+      const fieldResult = await this.validateField(name, show);
+      result.fields[name] = fieldResult;
+      if (!fieldResult.valid) {
+        result.valid = false;
+        result.errors[name] = fieldResult.error;
+      }
+    }
+    this.lastResult = result;
+    return result;
+  }
+
+  /**
+   *  Check whether all fields are valid, without showing the outcome nor affecting validations in progress.
+   *
+   *  @return A promise resolving to true if all fields are valid.
+   */
+  async checkValidity() {
+    const values = this.fieldValues();
+    for (let name of this.fieldNames()) {
+      if (await this.checkField(name, values[name], values)) {
+        return false;
+      }
+    }
+    return true;
+  }
+}
+
+function isButton(el) {
+  return [ 'button', 'submit', 'reset', 'image' ].includes(el.type) || (el.tagName === 'FIELDSET');
+}
+
+function firstDefined(...values) {
+  return values.find((value) => (value !== undefined) && (value !== null) && (value !== ''));
+}
+
+/**
+ *  Check a boolean data attribute value: present means set, unless explicitly "false" or "0".
+ */
+function isFlagSet(value) {
+  return (value !== undefined) && !/^\s*(false|0)\s*$/i.test(value);
+}
+
+/**
+ *  Compare a field value with a min/max limit: numerically if both are numeric, otherwise as strings
+ *  (which works for dates and times in ISO format).
+ */
+function compareValues(value, limit) {
+  if (utils.isNumeric(value) && utils.isNumeric(limit)) {
+    return (+value) - (+limit);
+  }
+  return (value < `${limit}`) ? -1 : ((value > `${limit}`) ? +1 : 0);
+}
+
+
+// SERIALIZATION
+
+/**
+ *  Split a field name into the path of properties it represents:
+ *  'address.street' and 'address[street]' become [ 'address', 'street' ], 'items[0].name' becomes [ 'items', 0, 'name' ].
+ *  A trailing '[]' (as in 'tags[]') means the field holds one of multiple values, and is dropped.
+ */
+function nameToPath(name) {
+  return name.replace(/\[\]$/, '')
+             .replace(/\[([^\]]+)\]/g, '.$1')
+             .split('.')
+             .filter((segment) => segment !== '')
+             .map((segment) => /^\d+$/.test(segment) ? +segment : segment);
+}
+
+function getPath(obj, path) {
+  let value = obj;
+  for (let segment of path) {
+    if ((value === null) || (typeof value !== 'object')) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+}
+
+function setPath(obj, path, value) {
+  let target = obj;
+  for (let i = 0; i < path.length - 1; i++) {
+    if ((target[path[i]] === null) || (typeof target[path[i]] !== 'object')) {
+      target[path[i]] = (typeof path[i + 1] === 'number') ? [] : {};
+    }
+    target = target[path[i]];
+  }
+  target[path[path.length - 1]] = value;
+}
+
+function addPathValue(obj, path, value) {
+  const values = getPath(obj, path);
+  if (Array.isArray(values)) {
+    values.push(value);
+  }
+  else {
+    setPath(obj, path, [ value ]);
+  }
+}
+
+function serializableElements(formEl) {
+  return Array.from(formEl.elements).filter((el) => el.name && !el.disabled && !isButton(el));
+}
+
+function parseDateValue(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return m ? utils.date(+m[1], +m[2], +m[3]) : null; // In local time, unlike Date.parse() does for dates
+}
+
+/**
+ *  Get the value of a single form control.
+ */
+function controlValue(el, options) {
+  switch (el.type) {
+    case 'number':
+    case 'range':
+      return (el.value === '') ? null : +el.value;
+    case 'date':
+      return (!options.dates || (el.value === '')) ? el.value : parseDateValue(el.value);
+    case 'datetime-local':
+      return (!options.dates || (el.value === '')) ? el.value : utils.toDateTime(el.value);
+    case 'file':
+      if (!options.files) {
+        return undefined;
+      }
+      return el.multiple ? Array.from(el.files) : (el.files[0] || null);
+    case 'select-multiple':
+      return Array.from(el.selectedOptions).map((option) => option.value);
+    default:
+      return el.value;
+  }
+}
+
+/**
+ *  Get the data of a form as an object.
+ *
+ *  Field names can be nested ('address.street' or 'address[street]') and can denote multiple values ('tags[]').
+ *  Values are strings, except for:
+ *    - a checkbox: true or false, unless there are multiple checkboxes with the same name (or a name ending in '[]'):
+ *      then an array with the values of the checked ones
+ *    - a radio button group: the value of the checked one, or null
+ *    - a multi-select: an array of the selected values
+ *    - number and range inputs: a number, or null if empty
+ *    - date and datetime-local inputs: a Date, or '' if empty
+ *    - file inputs: a File (or null), or an array of Files if 'multiple'
+ *  Disabled fields and buttons are left out.
+ *
+ *  @param formEl The form element.
+ *  @param options Following options are available:
+ *                  'dates': whether to turn dates into Date objects. Defaults to true.
+ *                  'files': whether to include files. Defaults to true.
+ *
+ *  @return The form data object.
+ */
+export function serializeForm(formEl, options = {}) {
+  options = Object.assign({ dates: true, files: true }, options);
+  const elements = serializableElements(formEl);
+  const nameCounts = {};
+  for (let el of elements) {
+    nameCounts[el.name] = (nameCounts[el.name] || 0) + 1;
+  }
+  const data = {};
+  for (let el of elements) {
+    const path = nameToPath(el.name);
+    const isMultiple = el.name.endsWith('[]') || (nameCounts[el.name] > 1);
+    if (el.type === 'checkbox') {
+      if (!isMultiple) {
+        setPath(data, path, el.checked);
+      }
+      else if (el.checked) {
+        addPathValue(data, path, el.value);
+      }
+      else if (getPath(data, path) === undefined) {
+        setPath(data, path, []);
+      }
+    }
+    else if (el.type === 'radio') {
+      if (el.checked) {
+        setPath(data, path, el.value);
+      }
+      else if (getPath(data, path) === undefined) {
+        setPath(data, path, null);
+      }
+    }
+    else {
+      const value = controlValue(el, options);
+      if (value === undefined) {
+        continue;
+      }
+      if (isMultiple && Array.isArray(value)) { // E.g. a multi-select named 'colors[]'
+        setPath(data, path, (getPath(data, path) || []).concat(value));
+      }
+      else if (isMultiple) {
+        addPathValue(data, path, value);
+      }
+      else {
+        setPath(data, path, value);
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ *  Fill a form with data, e.g. as obtained from serializeForm().
+ *  Fields for which the data has no value are left untouched, as are file inputs.
+ *
+ *  @param formEl The form element.
+ *  @param data The form data: an object or its JSON representation.
+ */
+export function populateForm(formEl, data) {
+  if (typeof data === 'string') {
+    data = JSON.parse(data);
+  }
+  const occurrences = {}; // Per name, to assign the values of an array to the fields sharing that name in turn
+  for (let el of serializableElements(formEl)) {
+    const value = getPath(data, nameToPath(el.name));
+    if ((value === undefined) || (el.type === 'file')) {
+      continue;
+    }
+    if (el.type === 'checkbox') {
+      el.checked = Array.isArray(value) ? value.map((v) => `${v}`).includes(el.value)
+                                        : ((value === true) || (value === 'true') || ((typeof value === 'string') && (value === el.value)));
+    }
+    else if (el.type === 'radio') {
+      el.checked = (value !== null) && (`${value}` === el.value);
+    }
+    else if (el.type === 'select-multiple') {
+      const selected = [].concat(value).map((v) => `${v}`);
+      for (let option of el.options) {
+        option.selected = selected.includes(option.value);
+      }
+    }
+    else {
+      let fieldValue = value;
+      if (Array.isArray(value)) {
+        const idx = occurrences[el.name] = (occurrences[el.name] === undefined) ? 0 : occurrences[el.name] + 1;
+        fieldValue = value[idx];
+      }
+      el.value = formatControlValue(el, fieldValue);
+    }
+  }
+}
+
+function formatControlValue(el, value) {
+  if ((value === null) || (value === undefined)) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return (el.type === 'datetime-local') ? utils.formatDateTime(value, 'T') : utils.formatDate(value);
+  }
+  return `${value}`;
+}
+
+/**
+ *  Get the data of a form as JSON: like serializeForm(), but with dates as 'yyyy-mm-dd' strings and without files.
+ *
+ *  @param formEl The form element.
+ *
+ *  @return The JSON string.
+ */
+export function formToJson(formEl) {
+  return JSON.stringify(serializeForm(formEl, { dates: false, files: false }));
+}
+
+/**
+ *  Turn form data as obtained from serializeForm() into a FormData object, with nested names like 'address.street'
+ *  and arrays of values as 'tags[]'. True becomes 'on' while false and null are left out, like for checkboxes.
+ *  Dates become 'yyyy-mm-dd' when at midnight, 'yyyy-mm-ddThh:mm:ss' otherwise.
+ *
+ *  @param data The form data object.
+ *
+ *  @return The FormData object.
+ */
+export function objectToFormData(data) {
+  const formData = new FormData();
+  const append = (name, value) => {
+    if ((value === null) || (value === undefined) || (value === false)) { // Like unchecked checkboxes: left out
+      return;
+    }
+    if (value === true) {
+      formData.append(name, 'on');
+    }
+    else if (value instanceof Date) {
+      const isDateOnly = (value.getHours() === 0) && (value.getMinutes() === 0) && (value.getSeconds() === 0);
+      formData.append(name, isDateOnly ? utils.formatDate(value) : utils.formatDateTime(value, 'T'));
+    }
+    else if ((typeof Blob !== 'undefined') && (value instanceof Blob)) {
+      formData.append(name, value);
+    }
+    else if (Array.isArray(value)) {
+      value.forEach((item, idx) => {
+        const isNested = (item !== null) && (typeof item === 'object') && !(item instanceof Date) && !((typeof Blob !== 'undefined') && (item instanceof Blob));
+        append(isNested ? `${name}.${idx}` : `${name}[]`, item);
+      });
+    }
+    else if (typeof value === 'object') {
+      for (let key in value) {
+        append(name ? `${name}.${key}` : key, value[key]);
+      }
+    }
+    else {
+      formData.append(name, `${value}`);
+    }
+  };
+  append('', data);
+  return formData;
+}
+
+/**
+ *  Get the data of a form as a FormData object, with normalized names: see objectToFormData().
+ *
+ *  @param formEl The form element.
+ *
+ *  @return The FormData object.
+ */
+export function formToFormData(formEl) {
+  return objectToFormData(serializeForm(formEl));
+}
+
+/**
+ *  Turn a FormData object into a (nested) object, interpreting names like serializeForm() does.
+ *  Values stay strings (or Files), since the types of the fields are unknown.
+ *
+ *  @param formData The FormData object.
+ *
+ *  @return The form data object.
+ */
+export function formDataToObject(formData) {
+  const data = {};
+  for (let [ name, value ] of formData.entries()) {
+    const path = nameToPath(name);
+    const existing = getPath(data, path);
+    if (name.endsWith('[]')) {
+      addPathValue(data, path, value);
+    }
+    else if (existing === undefined) {
+      setPath(data, path, value);
+    }
+    else if (Array.isArray(existing)) {
+      existing.push(value);
+    }
+    else {
+      setPath(data, path, [ existing, value ]);
+    }
+  }
+  return data;
+}
+
+
+// STATE TRACKING
+
+/**
+ *  Turn form data into an object mapping flattened field paths (e.g. 'address.street') to values.
+ *  Arrays are kept as a single value.
+ */
+function flattenFormData(data, prefix = '', flattened = {}) {
+  for (let key in data) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = data[key];
+    if ((value !== null) && (typeof value === 'object') && !Array.isArray(value)) {
+      flattenFormData(value, path, flattened);
+    }
+    else {
+      flattened[path] = value;
+    }
+  }
+  return flattened;
+}
+
+/**
+ *  Type tracking whether a form has unsaved changes, optionally autosaving drafts to localStorage.
+ *
+ *  While installed, it:
+ *    - warns before leaving the page while there are unsaved changes
+ *    - enables the submit button only when the form is dirty and valid
+ *    - saves a draft to localStorage (when a 'storageKey' is given) shortly after each change
+ */
+export class FormStateTracker
+{
+  /**
+   *  Create the tracker. The current values of the form are taken as its initial, clean state.
+   *
+   *  @param form The form element to track.
+   *  @param options Following options are available:
+   *                  'storageKey': the localStorage key to save drafts under. No autosave if not set.
+   *                  'autosaveDelay': the number of milliseconds without changes after which a draft is saved. Defaults to 1000.
+   *                  'warnOnUnload': whether to warn before leaving the page with unsaved changes. Defaults to true.
+   *                  'submitButton': the button to enable/disable. Defaults to the form's first submit button, if any.
+   *                  'validator': a FormValidator to check validity with. Defaults to the native form validity.
+   *                  'validateDelay': the number of milliseconds without changes after which validity is checked. Defaults to 300.
+   *                  'onStateChange': function invoked with an object with properties 'dirty' and 'valid' whenever either changes.
+   */
+  constructor(form, options = {}) {
+    this.form = form;
+    this.options = Object.assign({
+      storageKey: null,
+      autosaveDelay: 1000,
+      warnOnUnload: true,
+      submitButton: form.querySelector("[type='submit']"),
+      validator: null,
+      validateDelay: 300,
+      onStateChange: null
+    }, options);
+    this.state = { dirty: false, valid: true };
+    this.updateCount = 0; // To ignore outdated results of async validity checks
+    this.installed = false;
+    this.snapshot();
+    this.onChange = this.onChange.bind(this);
+    this.onBeforeUnload = this.onBeforeUnload.bind(this);
+    this.scheduleUpdate = domutils.moderatedEventCallback(() => {
+      if (this.installed) {
+        this.update();
+      }
+    }, this.options.validateDelay);
+    this.scheduleAutosave = domutils.moderatedEventCallback(() => {
+      if (this.installed) {
+        this.saveDraft();
+      }
+    }, this.options.autosaveDelay);
+  }
+
+  /**
+   *  Start tracking changes.
+   *
+   *  @return This tracker.
+   */
+  install() {
+    if (this.installed) {
+      return this;
+    }
+    this.installed = true;
+    this.form.addEventListener('input', this.onChange);
+    this.form.addEventListener('change', this.onChange);
+    if (this.options.warnOnUnload) {
+      window.addEventListener('beforeunload', this.onBeforeUnload);
+    }
+    this.update();
+    return this;
+  }
+
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+    this.installed = false;
+    this.form.removeEventListener('input', this.onChange);
+    this.form.removeEventListener('change', this.onChange);
+    window.removeEventListener('beforeunload', this.onBeforeUnload);
+  }
+
+  onChange(event) {
+    this.scheduleUpdate();
+    if (this.options.storageKey) {
+      this.scheduleAutosave();
+    }
+  }
+
+  onBeforeUnload(event) {
+    if (this.isDirty()) {
+      event.preventDefault();
+      event.returnValue = ''; // Still needed by some browsers to show the warning
+    }
+  }
+
+  currentValues() {
+    return flattenFormData(serializeForm(this.form, { dates: false, files: false }));
+  }
+
+  /**
+   *  Take the current values of the form as its clean state.
+   */
+  snapshot() {
+    this.initialValues = this.currentValues();
+  }
+
+  /**
+   *  Get the fields whose value differs from the clean state.
+   *
+   *  @return An object mapping field paths (e.g. 'address.street') to objects with properties 'from' and 'to'.
+   */
+  diff() {
+    const currentValues = this.currentValues();
+    const changes = {};
+    const paths = new Set(Object.keys(this.initialValues).concat(Object.keys(currentValues)));
+    for (let path of paths) {
+      if (JSON.stringify(this.initialValues[path]) !== JSON.stringify(currentValues[path])) {
+        changes[path] = { from: this.initialValues[path], to: currentValues[path] };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   *  Check whether the form has changed since its clean state.
+   */
+  isDirty() {
+    return Object.keys(this.diff()).length > 0;
+  }
+
+  /**
+   *  Take the current values as clean state, e.g. after saving them, and discard any draft.
+   */
+  markClean() {
+    this.snapshot();
+    this.clearDraft();
+    this.update();
+  }
+
+  /**
+   *  Re-evaluate the dirty and valid state, and update the submit button accordingly.
+   *  Invoked when the form changes, once no changes occurred for 'validateDelay' milliseconds.
+   *
+   *  @return A promise resolving to an object with properties 'dirty' and 'valid'. When a later update
+   *          started meanwhile, this update is ignored and the state is left as is.
+   */
+  async update() {
+    const count = ++this.updateCount;
+    const dirty = this.isDirty();
+    const valid = await this.checkValidity();
+    if (count !== this.updateCount) { // Outdated by a later update
+      return this.state;
+    }
+    const submitButton = this.options.submitButton;
+    if (submitButton) {
+      if (dirty && valid) {
+        enable(submitButton);
+      }
+      else {
+        disable(submitButton, dirty ? "Please correct the errors first" : "There are no changes to submit");
+      }
+    }
+    if ((dirty !== this.state.dirty) || (valid !== this.state.valid)) {
+      this.state = { dirty: dirty, valid: valid };
+      if (this.options.onStateChange) {
+        this.options.onStateChange(this.state);
+      }
+    }
+    return this.state;
+  }
+
+  async checkValidity() {
+    if (!this.options.validator) {
+      return (typeof this.form.checkValidity !== 'function') || this.form.checkValidity();
+    }
+    try {
+      return await this.options.validator.checkValidity();
+    }
+    catch (err) {
+      log.warn("Checking validity of form failed: %O", err);
+      return false;
+    }
+  }
+
+  storage() {
+    try {
+      return (typeof window !== 'undefined') ? window.localStorage : null;
+    }
+    catch (err) { // E.g. access denied in sandboxed frames
+      log.debug("Cannot access localStorage for form drafts: %O", err);
+      return null;
+    }
+  }
+
+  /**
+   *  Save the current values of the form as draft, if a 'storageKey' was given.
+   */
+  saveDraft() {
+    const storage = this.storage();
+    if (!storage || !this.options.storageKey) {
+      return;
+    }
+    try {
+      if (this.isDirty()) {
+        const data = serializeForm(this.form, { dates: false, files: false });
+        storage.setItem(this.options.storageKey, JSON.stringify({ savedAt: new Date().toISOString(), data: data }));
+      }
+      else {
+        storage.removeItem(this.options.storageKey);
+      }
+    }
+    catch (err) { // E.g. quota exceeded
+      log.warn("Saving form draft '%s' failed: %O", this.options.storageKey, err);
+    }
+  }
+
+  /**
+   *  Get the saved draft, if any.
+   *
+   *  @return An object with properties 'savedAt' (a Date) and 'data', or null if there is no draft.
+   */
+  getDraft() {
+    const storage = this.storage();
+    if (!storage || !this.options.storageKey) {
+      return null;
+    }
+    try {
+      const draft = JSON.parse(storage.getItem(this.options.storageKey));
+      return draft ? { savedAt: utils.toDateTime(draft.savedAt), data: draft.data } : null;
+    }
+    catch (err) {
+      log.warn("Ignoring invalid form draft '%s': %O", this.options.storageKey, err);
+      return null;
+    }
+  }
+
+  hasDraft() {
+    return !!this.getDraft();
+  }
+
+  /**
+   *  Fill the form with the saved draft, if any. The form then stays dirty compared to its clean state.
+   *
+   *  @return True if a draft got restored.
+   */
+  restoreDraft() {
+    const draft = this.getDraft();
+    if (!draft) {
+      return false;
+    }
+    populateForm(this.form, draft.data);
+    this.update();
+    return true;
+  }
+
+  /**
+   *  Discard the saved draft, if any.
+   */
+  clearDraft() {
+    const storage = this.storage();
+    if (storage && this.options.storageKey) {
+      storage.removeItem(this.options.storageKey);
+    }
+  }
+}
+
+
+// SUBMISSION
+
+/**
+ *  Find the form controls for a field name, also when the name is given in another nested notation
+ *  (e.g. 'address.street' for a control named 'address[street]').
+ */
+function findFieldElements(form, name) {
+  const path = nameToPath(name).join('.');
+  return serializableElements(form).filter((el) => (el.name === name) || (nameToPath(el.name).join('.') === path));
+}
+
+/**
+ *  Show the field errors carried by an error via markInvalid(), either as:
+ *    - a 'fieldErrors' property: an object mapping field names to error texts (or arrays of them)
+ *    - a 'field' property: the name of the field the error's message applies to
+ *  The error texts typically come from a server, so are always shown as plain text.
+ *
+ *  @return The invalid elements found, in form order.
+ */
+function showFieldErrors(form, err) {
+  const fieldErrors = (err && err.fieldErrors) ? err.fieldErrors : ((err && err.field) ? { [err.field]: err.message } : {});
+  const invalidEls = [];
+  for (let name in fieldErrors) {
+    const errorText = [].concat(fieldErrors[name]).map((text) => `${text}`).join(' ');
+    const els = findFieldElements(form, name);
+    if (els.length === 0) {
+      log.warn("Cannot show error for unknown field '%s': %s", name, errorText);
+    }
+    for (let el of els) {
+      markInvalid(el, errorText);
+      el.setAttribute('aria-invalid', 'true');
+      invalidEls.push(el);
+    }
+  }
+  return serializableElements(form).filter((el) => invalidEls.includes(el));
+}
+
+/**
+ *  Handle the submission of a form via an async function, instead of natively.
+ *
+ *  While the function's promise is pending, the form is disabled and marked busy (class 'busy' and 'aria-busy'),
+ *  as is the submit button used. When the function throws an error with field errors (see below), these are
+ *  shown via markInvalid() and the first invalid field gets focus. Other errors are shown in the form's
+ *  '.form-error' element, if any.
+ *
+ *  Field errors are taken from the error's 'fieldErrors' property (an object mapping field names to error texts),
+ *  or from its 'field' property (the name of the field the error's message applies to).
+ *
+ *  @param form The form element.
+ *  @param asyncFn The function to invoke with the form data (see serializeForm()) and the form.
+ *  @param options Following options are available:
+ *                  'validator': a FormValidator to validate the form with first: not submitted when invalid.
+ *                  'busyText': the title shown on the form while busy. Defaults to "Submitting...".
+ *                  'onSuccess': function invoked with the result of asyncFn.
+ *                  'onError': function invoked with the error thrown by asyncFn. By default, errors are logged.
+ */
+export function handleSubmit(form, asyncFn, options = {}) {
+  if (typeof asyncFn !== 'function') {
+    throw new TypeError("asyncFn for handleSubmit(form, asyncFn, options) must be a function");
+  }
+  options = Object.assign({
+    validator: null,
+    busyText: "Submitting...",
+    onSuccess: null,
+    onError: null
+  }, options);
+  form.setAttribute('novalidate', '');
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    if (form.getAttribute('aria-busy') === 'true') { // Still busy with a previous submit
+      return;
+    }
+    if (options.validator && !(await options.validator.validate()).valid) {
+      return;
+    }
+    const data = serializeForm(form);
+    const submitter = event.submitter || null;
+    const formErrorEl = form.querySelector(".form-error");
+    if (formErrorEl) {
+      formErrorEl.textContent = '';
+    }
+    for (let el of serializableElements(form)) {
+      if (el.getAttribute('aria-invalid') === 'true') {
+        markValid(el);
+        el.removeAttribute('aria-invalid');
+      }
+    }
+    const busyEls = submitter ? [ form, submitter ] : [ form ];
+    busyEls.forEach((el) => {
+      el.classList.add('busy');
+      el.setAttribute('aria-busy', 'true');
+    });
+    disable(form, options.busyText);
+    let invalidEls = [];
+    try {
+      const result = await asyncFn(data, form);
+      if (options.onSuccess) {
+        options.onSuccess(result);
+      }
+    }
+    catch (err) {
+      invalidEls = showFieldErrors(form, err);
+      if ((invalidEls.length === 0) && formErrorEl) {
+        formErrorEl.textContent = (err && err.message) ? err.message : `${err}`;
+      }
+      if (options.onError) {
+        options.onError(err);
+      }
+      else if (invalidEls.length === 0) { // Field errors are expected, and shown already
+        log.error("Submitting form failed: %O", err);
+      }
+    }
+    finally {
+      enable(form);
+      busyEls.forEach((el) => {
+        el.classList.remove('busy');
+        el.removeAttribute('aria-busy');
+      });
+    }
+    if (invalidEls.length > 0) { // Only possible once no longer inert
+      invalidEls[0].focus();
+    }
+  });
+}
+
+
+// INPUT MASKS
+
+// Mask factories by name: each accepts the options passed to applyInputMask() and returns a mask object
+const inputMaskFactories = new Map();
+
+// The masks applied, by input element
+const appliedMasks = new WeakMap();
+
+/**
+ *  Register an input mask, to be used by name in applyInputMask().
+ *
+ *  @param name The name of the mask.
+ *  @param factory A function accepting the options passed to applyInputMask(), and returning an object with:
+ *                  - accepts(c): whether a character is significant, i.e. typed by the user rather than added by the mask
+ *                  - format(text): the text formatted while typing
+ *                  - parse(text): the parsed value of a formatted text, or null if incomplete or invalid
+ *                  - formatValue(value): a parsed value formatted as text
+ *                  - finish(text): optionally, the text formatted when leaving the input
+ *                  - normalizePaste(text): optionally, pasted text turned into something format() understands
+ *                  - prefix: optionally, text the formatted text starts with, e.g. a currency symbol
+ *                  - inputMode: optionally, the 'inputmode' attribute for the input, e.g. 'numeric'
+ *                  - invalidText: the validation message when the text can't be parsed
+ */
+export function registerInputMask(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError("factory for registerInputMask(name, factory) must be a function");
+  }
+  inputMaskFactories.set(name, factory);
+}
+
+/**
+ *  Apply an input mask to an input element: the text gets formatted while typing and pasting, keeping the caret
+ *  in place, and the parsed value is available as the element's 'parsedValue' property (null if incomplete or invalid).
+ *  Text that can't be parsed makes the element invalid, via setCustomValidity().
+ *
+ *  Following masks are available:
+ *    - 'date': yyyy-mm-dd, parsed into a Date
+ *    - 'time': hh:mm, or hh:mm:ss with option 'seconds', parsed into the number of milliseconds since midnight
+ *    - 'timespan': like '1d 02h 03m 04s' (as utils.formatTimespan() formats) or 'hh:mm:ss', parsed into milliseconds
+ *    - 'number': a number with grouped thousands, parsed into a number. Options: 'fractionDigits' (defaults to 0),
+ *                'decimalSeparator' and 'groupSeparator' (default to those used by utils.formatNumber()), 'allowNegative'
+ *    - 'currency': like 'number', with a currency symbol. Options: those of 'number' ('fractionDigits' defaults to 2) and
+ *                  'symbol' (defaults to '€')
+ *    - 'phone': a phone number according to option 'pattern' (defaults to '9999 99 99 99'), parsed into a string of digits
+ *               prefixed by the pattern's leading '+' and digits, e.g. '+32470123456' for pattern '+32 999 99 99 99'
+ *    - 'pattern': text according to option 'pattern', parsed into the formatted text once complete
+ *  In patterns, '9' stands for a digit, 'a' for a letter and '*' for either: all other characters are added by the mask.
+ *
+ *  @param inputEl The input element.
+ *  @param mask The name of the mask.
+ *  @param options Options for the mask.
+ */
+export function applyInputMask(inputEl, mask, options = {}) {
+  const factory = inputMaskFactories.get(mask);
+  if (!factory) {
+    throw new Error(`Unknown input mask '${mask}'`);
+  }
+  const maskObj = factory(options);
+  const isApplied = appliedMasks.has(inputEl);
+  appliedMasks.set(inputEl, maskObj);
+  inputEl.dataset.mask = mask;
+  if (maskObj.inputMode) {
+    inputEl.setAttribute('inputmode', maskObj.inputMode);
+  }
+  if (!isApplied) { // Listeners use the mask applied last
+    inputEl.addEventListener('input', onMaskedInput);
+    inputEl.addEventListener('paste', onMaskedPaste);
+    inputEl.addEventListener('blur', onMaskedBlur);
+    Object.defineProperty(inputEl, 'parsedValue', {
+      configurable: true,
+      get: () => appliedMasks.get(inputEl).parse(inputEl.value)
+    });
+  }
+  reformatMaskedInput(inputEl, inputEl.value, null);
+}
+
+/**
+ *  Set the value of an input with an input mask.
+ *
+ *  @param inputEl The input element.
+ *  @param value The parsed value, e.g. a Date for a 'date' mask. Null or undefined to clear.
+ */
+export function setMaskedValue(inputEl, value) {
+  const maskObj = appliedMasks.get(inputEl);
+  if (!maskObj) {
+    throw new Error("No input mask applied to the element");
+  }
+  inputEl.value = ((value === null) || (value === undefined)) ? '' : maskObj.formatValue(value);
+  updateMaskedValidity(inputEl, maskObj);
+}
+
+/**
+ *  Count the significant characters in a text before a position.
+ */
+function significantCount(maskObj, text, pos) {
+  const start = (maskObj.prefix && text.startsWith(maskObj.prefix)) ? maskObj.prefix.length : 0;
+  return Array.from(text.substring(start, Math.max(pos, start))).filter((c) => maskObj.accepts(c)).length;
+}
+
+/**
+ *  Get the position in a text just after a number of significant characters.
+ */
+function positionAfterSignificant(maskObj, text, count) {
+  const start = (maskObj.prefix && text.startsWith(maskObj.prefix)) ? maskObj.prefix.length : 0;
+  if (count <= 0) {
+    return start;
+  }
+  let seen = 0;
+  for (let i = start; i < text.length; i++) {
+    if (maskObj.accepts(text.charAt(i)) && (++seen === count)) {
+      return i + 1;
+    }
+  }
+  return text.length;
+}
+
+/**
+ *  Format the text of a masked input, placing the caret after the same significant characters as in the text.
+ *
+ *  @param caretPos The caret position in the text, or null to leave the caret alone.
+ */
+function reformatMaskedInput(inputEl, text, caretPos) {
+  const maskObj = appliedMasks.get(inputEl);
+  const count = (caretPos !== null) ? significantCount(maskObj, text, caretPos) : 0;
+  const formatted = maskObj.format(text);
+  if (inputEl.value !== formatted) {
+    inputEl.value = formatted;
+  }
+  if ((caretPos !== null) && (typeof document !== 'undefined') && (document.activeElement === inputEl)) {
+    const pos = positionAfterSignificant(maskObj, formatted, count);
+    inputEl.setSelectionRange(pos, pos);
+  }
+  updateMaskedValidity(inputEl, maskObj);
+}
+
+function updateMaskedValidity(inputEl, maskObj) {
+  const isInvalid = (inputEl.value !== '') && (maskObj.parse(inputEl.value) === null);
+  inputEl.setCustomValidity(isInvalid ? maskObj.invalidText : '');
+}
+
+function onMaskedInput(event) {
+  const inputEl = event.target;
+  reformatMaskedInput(inputEl, inputEl.value, inputEl.selectionStart);
+}
+
+function onMaskedPaste(event) {
+  const inputEl = event.target;
+  const maskObj = appliedMasks.get(inputEl);
+  const pasted = (event.clipboardData || window.clipboardData).getData('text');
+  event.preventDefault();
+  const normalized = maskObj.normalizePaste ? maskObj.normalizePaste(pasted) : pasted;
+  const value = inputEl.value;
+  const text = value.substring(0, inputEl.selectionStart) + normalized + value.substring(inputEl.selectionEnd);
+  reformatMaskedInput(inputEl, text, inputEl.selectionStart + normalized.length);
+}
+
+function onMaskedBlur(event) {
+  const inputEl = event.target;
+  const maskObj = appliedMasks.get(inputEl);
+  if (maskObj.finish && (maskObj.parse(inputEl.value) !== null)) {
+    inputEl.value = maskObj.finish(inputEl.value);
+  }
+  updateMaskedValidity(inputEl, maskObj);
+}
+
+const PATTERN_SLOTS = { '9': /[0-9]/, 'a': /[A-Za-z]/, '*': /[A-Za-z0-9]/ };
+
+/**
+ *  Create a mask for a pattern, with '9', 'a' and '*' as slots and all other characters as literals.
+ *
+ *  @param pattern The pattern.
+ *  @param parseComplete A function turning a complete formatted text into its parsed value, or null if invalid.
+ *  @param formatValue A function turning a parsed value into a formatted text.
+ */
+function patternMask(pattern, parseComplete, formatValue) {
+  const firstSlotIdx = Array.from(pattern).findIndex((c) => PATTERN_SLOTS[c]);
+  const prefix = (firstSlotIdx > 0) ? pattern.substring(0, firstSlotIdx) : '';
+  const mask = {
+    prefix: prefix,
+    inputMode: /[a*]/.test(pattern) ? 'text' : 'numeric',
+    invalidText: `Please use the format ${pattern}`,
+    accepts: (c) => PATTERN_SLOTS['*'].test(c),
+    format: (text) => {
+      if (prefix && text.startsWith(prefix)) {
+        text = text.substring(prefix.length);
+      }
+      const raw = Array.from(text).filter((c) => mask.accepts(c));
+      if (raw.length === 0) {
+        return '';
+      }
+      let formatted = '';
+      let literals = '';
+      for (let c of pattern) {
+        if (raw.length === 0) {
+          break;
+        }
+        const slot = PATTERN_SLOTS[c];
+        if (!slot) {
+          literals += c; // Only added once followed by a significant character
+          continue;
+        }
+        while ((raw.length > 0) && !slot.test(raw[0])) { // Drop characters that don't fit
+          raw.shift();
+        }
+        if (raw.length > 0) {
+          formatted += literals + raw.shift();
+          literals = '';
+        }
+      }
+      return formatted;
+    },
+    parse: (text) => ((text.length === pattern.length) && (mask.format(text) === text)) ? parseComplete(text) : null,
+    formatValue: formatValue
+  };
+  return mask;
+}
+
+function pad2(num) {
+  return (num < 10) ? `0${num}` : `${num}`;
+}
+
+registerInputMask('date', (options) => {
+  const mask = patternMask('9999-99-99', (text) => {
+    const [ year, month, day ] = text.split('-').map((part) => +part);
+    const date = utils.date(year, month, day);
+    return ((date.getMonth() + 1 === month) && (date.getDate() === day)) ? date : null;
+  }, (value) => utils.formatDate(value));
+  mask.invalidText = "Please enter a valid date, as yyyy-mm-dd";
+  mask.normalizePaste = (text) => {
+    text = text.trim();
+    let m = /^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{4})$/.exec(text); // dd/mm/yyyy
+    if (m) {
+      return `${m[3]}-${pad2(+m[2])}-${pad2(+m[1])}`;
+    }
+    m = /^(\d{4})[\/.\-](\d{1,2})[\/.\-](\d{1,2})$/.exec(text);
+    return m ? `${m[1]}-${pad2(+m[2])}-${pad2(+m[3])}` : text;
+  };
+  return mask;
+});
+
+registerInputMask('time', (options) => {
+  const pattern = options.seconds ? '99:99:99' : '99:99';
+  const mask = patternMask(pattern, (text) => {
+    const [ hours, minutes, seconds ] = text.split(':').map((part) => +part).concat([ 0 ]);
+    return ((hours < 24) && (minutes < 60) && (seconds < 60)) ? ((hours * 60 + minutes) * 60 + seconds) * 1000 : null;
+  }, (value) => {
+    const ms = (value instanceof Date) ? ((value.getHours() * 60 + value.getMinutes()) * 60 + value.getSeconds()) * 1000 : value;
+    const seconds = Math.floor(ms / 1000);
+    const text = `${pad2(Math.floor(seconds / 3600))}:${pad2(Math.floor(seconds / 60) % 60)}:${pad2(seconds % 60)}`;
+    return text.substring(0, pattern.length);
+  });
+  mask.invalidText = `Please enter a valid time, as ${options.seconds ? 'hh:mm:ss' : 'hh:mm'}`;
+  mask.normalizePaste = (text) => text.trim().replace(/[.h]/g, ':').replace(/^(\d):/, '0$1:');
+  return mask;
+});
+
+registerInputMask('timespan', (options) => {
+  const parse = (text) => {
+    text = text.trim().toLowerCase();
+    let m = /^(\d+):([0-5]?\d)(?::([0-5]?\d))?$/.exec(text); // hh:mm(:ss)
+    if (m) {
+      return (((+m[1]) * 60 + (+m[2])) * 60 + (+(m[3] || 0))) * 1000;
+    }
+    m = /^(?:(\d+)\s*d)?\s*(?:(\d+)\s*h)?\s*(?:(\d+)\s*m)?\s*(?:(\d+)\s*s)?$/.exec(text);
+    if (!m || !/\d/.test(text)) {
+      return null;
+    }
+    return ((((+(m[1] || 0)) * 24 + (+(m[2] || 0))) * 60 + (+(m[3] || 0))) * 60 + (+(m[4] || 0))) * 1000;
+  };
+  return {
+    inputMode: 'text',
+    invalidText: "Please enter a valid timespan, like 1d 02h 30m 00s or 26:30:00",
+    accepts: (c) => /[0-9dhms: ]/i.test(c), // Like format(): typed spaces are kept, so the caret must count them
+    format: (text) => text.replace(/[^0-9dhms: ]/gi, '').toLowerCase(),
+    parse: parse,
+    finish: (text) => utils.formatTimespan(parse(text)),
+    formatValue: (value) => utils.formatTimespan(value)
+  };
+});
+
+/**
+ *  Get the decimal and group separators used by utils.formatNumber().
+ */
+function numberSeparators() {
+  const sample = utils.formatNumber(12345678.5, 1, 1, true);
+  const groupSeparator = /\d/.test(sample.charAt(2)) ? '' : sample.charAt(2);
+  return { decimalSeparator: sample.charAt(sample.length - 2), groupSeparator: groupSeparator };
+}
+
+function numberMask(options, prefix) {
+  const { decimalSeparator, groupSeparator } = Object.assign(numberSeparators(), options);
+  const fractionDigits = options.fractionDigits || 0;
+  const allowNegative = (options.allowNegative !== false);
+  const split = (text) => { // Into sign, integer digits and fraction digits (null if no decimal separator)
+    if (prefix && text.startsWith(prefix)) {
+      text = text.substring(prefix.length);
+    }
+    const sign = (allowNegative && text.trim().startsWith('-')) ? '-' : '';
+    const decimalIdx = (fractionDigits > 0) ? text.indexOf(decimalSeparator) : -1;
+    const intPart = (decimalIdx >= 0) ? text.substring(0, decimalIdx) : text;
+    const fraction = (decimalIdx >= 0) ? text.substring(decimalIdx + 1).replace(/\D/g, '').substring(0, fractionDigits) : null;
+    const intDigits = intPart.replace(/\D/g, '').replace(/^0+(?=\d)/, '');
+    return { sign: sign, intDigits: intDigits, fraction: fraction };
+  };
+  const join = (sign, intDigits, fraction) => {
+    const grouped = intDigits.replace(/\B(?=(\d{3})+(?!\d))/g, groupSeparator);
+    return prefix + sign + grouped + ((fraction !== null) ? decimalSeparator + fraction : '');
+  };
+  return {
+    prefix: prefix,
+    inputMode: (fractionDigits > 0) ? 'decimal' : 'numeric',
+    invalidText: "Please enter a valid number",
+    accepts: (c) => /[0-9]/.test(c) || (c === decimalSeparator) || (c === '-'),
+    format: (text) => {
+      const { sign, intDigits, fraction } = split(text);
+      if (!intDigits && (fraction === null)) {
+        return sign ? prefix + sign : '';
+      }
+      return join(sign, intDigits || '0', fraction);
+    },
+    parse: (text) => {
+      const { sign, intDigits, fraction } = split(text);
+      return (intDigits || fraction) ? +`${sign}${intDigits || '0'}.${fraction || '0'}` : null;
+    },
+    finish: (text) => {
+      const { sign, intDigits, fraction } = split(text);
+      return join(sign, intDigits || '0', (fractionDigits > 0) ? (fraction || '').padEnd(fractionDigits, '0') : null);
+    },
+    formatValue: (value) => {
+      const [ intDigits, fraction ] = Math.abs(value).toFixed(fractionDigits).split('.');
+      return join((value < 0) ? '-' : '', intDigits, (fractionDigits > 0) ? fraction : null);
+    },
+    normalizePaste: (text) => {
+      // Accept both '1,234.56' and '1.234,56': the last separator is the decimal one, unless it is
+      // followed by 3 digits and either repeated (as in '1.234.567') or the group separator
+      text = text.replace(/[^0-9.,\-]/g, '');
+      const separators = text.match(/[.,]/g) || [];
+      const decimalIdx = Math.max(text.lastIndexOf('.'), text.lastIndexOf(','));
+      const isGrouping = (text.length - decimalIdx - 1 === 3) &&
+        ((separators.filter((c) => c === text.charAt(decimalIdx)).length > 1) || (text.charAt(decimalIdx) === groupSeparator));
+      if ((decimalIdx < 0) || isGrouping || (fractionDigits === 0)) {
+        return text.replace(/[.,]/g, '');
+      }
+      return text.substring(0, decimalIdx).replace(/[.,]/g, '') + decimalSeparator + text.substring(decimalIdx + 1);
+    }
+  };
+}
+
+registerInputMask('number', (options) => numberMask(options, ''));
+
+registerInputMask('currency', (options) => {
+  options = Object.assign({ fractionDigits: 2, symbol: '€' }, options);
+  return numberMask(options, `${options.symbol} `);
+});
+
+registerInputMask('phone', (options) => {
+  const pattern = options.pattern || '9999 99 99 99';
+  // The leading '+' and digits of the pattern, e.g. '+32' for '+32 999 99 99 99'
+  const prefixDigits = pattern.substring(0, Array.from(pattern).findIndex((c) => PATTERN_SLOTS[c])).replace(/[^+\d]/g, '');
+  const withoutPrefix = (text) => { // Only the digits, without the prefix already shown by the mask
+    const digits = text.replace(/[^+\d]/g, '');
+    return (prefixDigits && digits.startsWith(prefixDigits) ? digits.substring(prefixDigits.length) : digits).replace(/\+/g, '');
+  };
+  const mask = patternMask(pattern,
+    (text) => prefixDigits + withoutPrefix(text),
+    (value) => mask.format(withoutPrefix(`${value}`)));
+  mask.inputMode = 'tel';
+  mask.invalidText = `Please enter a phone number as ${pattern}`;
+  mask.normalizePaste = withoutPrefix;
+  return mask;
+});
+
+registerInputMask('pattern', (options) => {
+  if (!options.pattern) {
+    throw new TypeError("pattern for applyInputMask(inputEl, 'pattern', options) must be specified");
+  }
+  return patternMask(options.pattern, (text) => text, (value) => `${value}`);
+});
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './testdom.mjs';
+
+setupDom();
+const formutils = await import('./formutils.mjs');
+
+/**
+ *  Create a form with an '.input-group' per field, each having an '.error-text' element.
+ *
+ *  @param fieldsHtml The HTML of the fields, one per input group.
+ */
+function createForm(...fieldsHtml) {
+  const form = document.createElement('form');
+  form.innerHTML = fieldsHtml.map((fieldHtml) => `<div class="input-group">${fieldHtml}<span class="error-text"></span></div>`).join('');
+  document.body.replaceChildren(form);
+  return form;
+}
+
+function errorText(form, name) {
+  return form.elements[name].closest('.input-group').querySelector('.error-text');
+}
+
+function submitEvent() {
+  return new Event('submit', { cancelable: true });
+}
+
+test('markInvalid() shows the error as text', () => {
+  const form = createForm('<input name="city">');
+  formutils.markInvalid(form.elements.city, '<img src="x" onerror="alert(1)">');
+  assert.equal(errorText(form, 'city').textContent, '<img src="x" onerror="alert(1)">');
+  assert.equal(form.querySelector('img'), null);
+  assert.ok(form.querySelector('.input-group').classList.contains('invalid'));
+});
+
+test('FormValidator blocks submitting while rules are violated', async () => {
+  const form = createForm('<input name="name" required>', '<input name="age" data-min="18">');
+  const submitted = [];
+  const validator = new formutils.FormValidator(form, { onSubmit: (result) => { submitted.push(result.values); } }).install();
+  form.elements.age.value = '12';
+  await validator.onSubmit(submitEvent());
+  assert.deepEqual(submitted, []);
+  assert.deepEqual(validator.lastResult.errors, { name: 'This field is required', age: 'Must be at least 18' });
+  assert.equal(form.elements.name.getAttribute('aria-invalid'), 'true');
+  form.elements.name.value = 'Ann';
+  form.elements.age.value = '21';
+  await validator.onSubmit(submitEvent());
+  assert.deepEqual(submitted, [ { name: 'Ann', age: '21' } ]);
+});
+
+test('FormValidator treats data-required="false" or "0" as not required', async () => {
+  const form = createForm('<input name="a" data-required>', '<input name="b" data-required="true">', '<input name="c" data-required="false">', '<input name="d" data-required="0">');
+  const validator = new formutils.FormValidator(form);
+  const result = await validator.validate();
+  assert.deepEqual(Object.keys(result.errors), [ 'a', 'b' ]);
+});
+
+test('FormValidator marks a field invalid when its validator fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const form = createForm('<input name="username" value="ann">');
+  const submitted = [];
+  const validator = new formutils.FormValidator(form, {
+    schema: { username: { validator: async () => { throw new Error('server unreachable'); } } },
+    onSubmit: (result) => { submitted.push(result); }
+  }).install();
+  await validator.onSubmit(submitEvent());
+  assert.deepEqual(submitted, []);
+  assert.equal(errorText(form, 'username').textContent, 'Could not be validated, please try again');
+  const fieldResult = await validator.validateField('username');
+  assert.equal(fieldResult.valid, false);
+});
+
+test('FormStateTracker checks validity once changes settle, ignoring outdated checks', async () => {
+  const form = createForm('<input name="code">', '<button type="submit">Save</button>');
+  const checks = [];
+  const validator = new formutils.FormValidator(form, {
+    schema: {
+      code: {
+        validator: async (value) => { // Earlier values take longer to check
+          checks.push(value);
+          await new Promise((resolve) => setTimeout(resolve, (value === 'a') ? 40 : 5));
+          return value !== 'a';
+        }
+      }
+    }
+  });
+  const tracker = new formutils.FormStateTracker(form, { validator: validator, validateDelay: 10, warnOnUnload: false });
+  await tracker.install().update();
+  checks.length = 0;
+  for (let value of [ 'x', 'xy', 'a' ]) { // Quick succession: only the last value is checked
+    form.elements.code.value = value;
+    form.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(checks, [ 'a' ]);
+  form.elements.code.value = 'b';
+  const latest = tracker.update();
+  assert.deepEqual(await latest, { dirty: true, valid: true });
+  await new Promise((resolve) => setTimeout(resolve, 40)); // The check of 'a' completes, but is outdated
+  assert.deepEqual(tracker.state, { dirty: true, valid: true });
+  assert.equal(form.querySelector('button').disabled, false);
+  assert.deepEqual(validator.validationCounts, {});
+  tracker.uninstall();
+});
+
+test('handleSubmit() shows server errors as text', async () => {
+  const form = createForm('<input name="address[street]" value="<b>Main</b>">');
+  form.insertAdjacentHTML('beforeend', '<p class="form-error"></p>');
+  const failures = [];
+  formutils.handleSubmit(form, async (data) => {
+    const err = new Error('Invalid address');
+    err.fieldErrors = { 'address.street': [ `Unknown street ${data.address.street}`, '<img src="x">' ] };
+    throw err;
+  }, { onError: (err) => { failures.push(err); } });
+  form.dispatchEvent(submitEvent());
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(failures.length, 1);
+  const street = form.elements['address[street]'];
+  assert.equal(errorText(form, 'address[street]').textContent, 'Unknown street <b>Main</b> <img src="x">');
+  assert.equal(form.querySelector('.input-group b, .input-group img'), null);
+  assert.equal(street.getAttribute('aria-invalid'), 'true');
+  assert.equal(form.getAttribute('aria-busy'), null);
+  assert.equal(document.activeElement, street);
+});
+
+/**
+ *  Create a focused input with an input mask applied.
+ */
+function createMaskedInput(mask, options) {
+  const form = createForm('<input name="masked">');
+  const inputEl = form.elements.masked;
+  formutils.applyInputMask(inputEl, mask, options);
+  inputEl.focus();
+  return inputEl;
+}
+
+/**
+ *  Type text at the caret of an input, one character at a time, like the browser does.
+ */
+function typeText(inputEl, text) {
+  for (let c of text) {
+    const pos = inputEl.selectionStart;
+    inputEl.value = inputEl.value.substring(0, pos) + c + inputEl.value.substring(inputEl.selectionEnd);
+    inputEl.setSelectionRange(pos + 1, pos + 1);
+    inputEl.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+}
+
+function pasteText(inputEl, text) {
+  const event = new Event('paste', { bubbles: true, cancelable: true });
+  event.clipboardData = { getData: () => text };
+  inputEl.dispatchEvent(event);
+}
+
+test('timespan mask keeps typed spaces, with the caret after them', () => {
+  const inputEl = createMaskedInput('timespan');
+  typeText(inputEl, '1d 02h 30m');
+  assert.equal(inputEl.value, '1d 02h 30m');
+  assert.equal(inputEl.selectionStart, inputEl.value.length);
+  assert.equal(inputEl.parsedValue, ((24 + 2) * 60 + 30) * 60 * 1000);
+  assert.ok(inputEl.checkValidity());
+  inputEl.value = '';
+  pasteText(inputEl, '26:30:00');
+  assert.equal(inputEl.parsedValue, (26 * 60 + 30) * 60 * 1000);
+  typeText(inputEl, 'x');
+  assert.equal(inputEl.value, '26:30:00');
+});
+
+test('number mask groups thousands, keeping the caret after the same digits', () => {
+  const inputEl = createMaskedInput('number', { decimalSeparator: '.', groupSeparator: ',' });
+  typeText(inputEl, '1234567');
+  assert.equal(inputEl.value, '1,234,567');
+  assert.equal(inputEl.selectionStart, inputEl.value.length);
+  inputEl.setSelectionRange(3, 3); // After '1,2'
+  typeText(inputEl, '9');
+  assert.equal(inputEl.value, '12,934,567');
+  assert.equal(inputEl.selectionStart, 4);
+  assert.equal(inputEl.parsedValue, 12934567);
+});
+
+test('currency mask normalizes pasted amounts and completes the fraction on blur', () => {
+  const inputEl = createMaskedInput('currency', { decimalSeparator: '.', groupSeparator: ',' });
+  pasteText(inputEl, '1.234,5');
+  assert.equal(inputEl.value, '€ 1,234.5');
+  assert.equal(inputEl.selectionStart, inputEl.value.length);
+  assert.equal(inputEl.parsedValue, 1234.5);
+  inputEl.dispatchEvent(new Event('blur'));
+  assert.equal(inputEl.value, '€ 1,234.50');
+  formutils.setMaskedValue(inputEl, -42);
+  assert.equal(inputEl.value, '€ -42.00');
+  assert.equal(inputEl.parsedValue, -42);
+});
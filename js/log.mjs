@@ -2,21 +2,54 @@ import * as utils from './utils.mjs';
 
 // General logging functions that don't rely on any global objects or the DOM
 
+export const FATAL_LEVEL = 1100;
 export const ERROR_LEVEL = 1000;
 export const WARNING_LEVEL = 900;
 export const INFO_LEVEL = 800;
+export const DEBUG_LEVEL = 500;
 export const TRACE_LEVEL = 300;
 
+// All known levels, sorted from highest to lowest
+const knownLevels = [
+  { name: 'fatal',   level: FATAL_LEVEL },
+  { name: 'error',   level: ERROR_LEVEL },
+  { name: 'warning', level: WARNING_LEVEL },
+  { name: 'info',    level: INFO_LEVEL },
+  { name: 'debug',   level: DEBUG_LEVEL },
+  { name: 'trace',   level: TRACE_LEVEL }
+];
+
 const logHandlers = [];
 
+/**
+ *  Check whether something can act as a log handler: either a plain function or
+ *  a transport object having a 'handle(logEvent)' method.
+ */
+function isLogHandler(handler) {
+  return (typeof handler === 'function') || (!!handler && (typeof handler.handle === 'function'));
+}
+
+/**
+ *  Invoke a log handler, being either a plain function or a transport.
+ */
+function invokeLogHandler(handler, logEvent) {
+  if (typeof handler === 'function') {
+    handler.call(null, logEvent);
+  }
+  else {
+    handler.handle(logEvent);
+  }
+}
+
 /**
  *  Register a log event handler.
  *
  *  @param callback The function to invoke when a log event occurs.
+ *                  Can also be a transport: an object with a 'handle(logEvent)' method (see logtransports.mjs).
  */
 export function addLogHandler(callback) {
-  if (typeof callback !== 'function') {
-    throw new TypeError("callback for addLogEventListener(callback) must be a function");
+  if (!isLogHandler(callback)) {
+    throw new TypeError("callback for addLogHandler(callback) must be a function or have a handle(logEvent) method");
   }
   logHandlers.push(callback);
 }
@@ -24,21 +57,25 @@ export function addLogHandler(callback) {
 /**
  *  Unregister a log event handler.
  *
- *  @param callback The previously registered function to now unregister.
+ *  @param callback The previously registered function or transport to now unregister.
  *
  *  @return True when a callback was actually removed, false if not.
  */
 export function removeLogHandler(callback) {
-    if (typeof callback !== 'function') {
-      throw new TypeError("callback for removeLogHandler(callback) must be a function");
-    }
-    for (let i = 0; i < logHandlers.length; i++) {
-      if (logHandlers[i] === callback) {
-        logHandlers.splice(i, 1);
-        return true;
-      }
+  if (!isLogHandler(callback)) {
+    throw new TypeError("callback for removeLogHandler(callback) must be a function or have a handle(logEvent) method");
+  }
+  return removeFrom(logHandlers, callback);
+}
+
+function removeFrom(handlers, callback) {
+  for (let i = 0; i < handlers.length; i++) {
+    if (handlers[i] === callback) {
+      handlers.splice(i, 1);
+      return true;
     }
-    return false;
+  }
+  return false;
 }
 
 /**
@@ -52,94 +89,638 @@ export function defaultHandler(logEvent) {
   if (logEvent.name) {
     logPrefix = `${utils.formatDateTime(logEvent.time, 'T', true)}Z <${logEvent.name}>: `;
   }
+  const levelName = levelToLevelName(logEvent.level);
+  if (levelName !== 'info') {
+    logPrefix = `${logPrefix}[${levelName}] `;
+  }
   let logFn = console.log;
   if (logEvent.level >= ERROR_LEVEL) {
-    logPrefix = `${logPrefix}[error] `;
     logFn = console.error;
   }
   else if (logEvent.level >= WARNING_LEVEL) {
-    logPrefix = `${logPrefix}[warning] `;
     logFn = console.warn;
   }
-  else if (logEvent.level <= TRACE_LEVEL) {
-    logPrefix = `${logPrefix}[trace] `;
+  else if (logEvent.level < INFO_LEVEL) {
     logFn = console.debug;
   }
   if (!logEvent.args) {
     logEvent.args = [];
   }
-  logFn(logPrefix + logEvent.message, ...logEvent.args);
+  if (logEvent.context && (Object.keys(logEvent.context).length > 0)) {
+    logFn(logPrefix + logEvent.message, ...logEvent.args, logEvent.context);
+  }
+  else {
+    logFn(logPrefix + logEvent.message, ...logEvent.args);
+  }
 }
 
-export function levelToLevelName(level) {
-  let levelName = 'info';
-  if (level >= ERROR_LEVEL) {
-    levelName = 'error';
+/**
+ *  Register a custom named level, e.g. registerLevel('notice', 850).
+ *  Loggers will get a method with the same name to log at that level, unless such method already exists.
+ *
+ *  @param name The level name.
+ *  @param level The numeric level. If a level with the same name exists, it is replaced.
+ */
+export function registerLevel(name, level) {
+  if ((typeof name !== 'string') || !name.trim()) {
+    throw new TypeError("name for registerLevel(name, level) must be a non-empty string");
   }
-  else if (level >= WARNING_LEVEL) {
-    levelName = 'warning';
+  if (!Number.isFinite(level) || (level <= 0)) {
+    throw new TypeError("level for registerLevel(name, level) must be a positive number");
   }
-  else if (level <= TRACE_LEVEL) {
-    levelName = 'trace';
+  name = name.toLowerCase().trim();
+  const existingIdx = knownLevels.findIndex((it) => it.name === name);
+  if (existingIdx >= 0) {
+    knownLevels.splice(existingIdx, 1);
+  }
+  knownLevels.push({ name: name, level: level });
+  knownLevels.sort((a, b) => b.level - a.level);
+  if (!(name in Logger.prototype)) {
+    Logger.prototype[name] = function(logMsgFormat, ...logMsgArgs) {
+      this.log(level, logMsgFormat, ...logMsgArgs);
+    };
   }
-  return levelName;
+}
+
+/**
+ *  Get all known levels.
+ *
+ *  @return An array of objects with properties 'name' and 'level', sorted from highest to lowest level.
+ */
+export function getLevels() {
+  return knownLevels.map((it) => Object.assign({}, it));
+}
+
+/**
+ *  Get the name of a level: the name of the highest known level not above it,
+ *  or the name of the lowest known level if there is none.
+ */
+export function levelToLevelName(level) {
+  for (let it of knownLevels) {
+    if (level >= it.level) {
+      return it.name;
+    }
+  }
+  return knownLevels[knownLevels.length - 1].name;
 }
 
 export function levelNameToLevel(name) {
-  switch (name.toLowerCase().trim()) {
-    case 'error':   return ERROR_LEVEL;
-    case 'warning': return WARNING_LEVEL;
-    case 'info':    return INFO_LEVEL;
-    case 'trace':   return TRACE_LEVEL;
+  name = name.toLowerCase().trim();
+  const known = knownLevels.find((it) => it.name === name);
+  return known ? known.level : 0;
+}
+
+// MESSAGE FORMATTING
+
+const DEFAULT_REDACTION_REPLACEMENT = '[REDACTED]';
+
+// Only match sensitive words making up the whole key or its last part, so 'passengers' or 'tokenCount' are kept
+let redactionRules = [
+  { key: /(^|[^a-z])(pass(word|wd)?|secret|token|authorization|api[-_]?key)$/i, replacement: DEFAULT_REDACTION_REPLACEMENT }, // 'password', 'client_secret', 'x-api-key'
+  { key: /[a-z0-9](Pass(word|wd)?|Secret|Token|Authorization|Api[-_]?Key)$/, replacement: DEFAULT_REDACTION_REPLACEMENT } // 'userPassword', 'accessToken'
+];
+
+/**
+ *  Add a redaction rule: values of object properties with a matching key will be replaced when formatting.
+ *
+ *  @param key Either a string (matched exactly, but case-insensitive) or a RegExp (tested against the key).
+ *  @param replacement The text to show instead of the actual value.
+ */
+export function addRedactionRule(key, replacement = DEFAULT_REDACTION_REPLACEMENT) {
+  if ((typeof key !== 'string') && !(key instanceof RegExp)) {
+    throw new TypeError("key for addRedactionRule(key, replacement) must be a string or a RegExp");
   }
-  return 0;
+  redactionRules.push({ key: key, replacement: replacement });
+}
+
+/**
+ *  Replace all redaction rules.
+ *
+ *  @param rules An array of objects with properties 'key' (a string or RegExp) and optionally 'replacement'.
+ *               Pass an empty array to disable redaction altogether.
+ */
+export function setRedactionRules(rules) {
+  redactionRules = [];
+  for (let rule of (rules || [])) {
+    addRedactionRule(rule.key, rule.replacement);
+  }
+}
+
+/**
+ *  Get the current redaction rules.
+ *
+ *  @return A copy of the array of redaction rules.
+ */
+export function getRedactionRules() {
+  return redactionRules.slice();
+}
+
+function redactionFor(key) {
+  for (let rule of redactionRules) {
+    const matches = (rule.key instanceof RegExp) ? rule.key.test(key) : (rule.key.toLowerCase() === key.toLowerCase());
+    if (matches) {
+      return rule.replacement;
+    }
+  }
+  return null;
+}
+
+/**
+ *  Create a JSON-safe copy of a value, with the values of sensitive keys replaced as per the redaction rules.
+ *  Circular references are replaced by '[Circular]', errors by an object with their name and message.
+ *
+ *  @param value The value to redact.
+ *
+ *  @return The redacted copy.
+ */
+export function redact(value) {
+  return redactValue(value, []);
+}
+
+function redactValue(value, ancestors) {
+  if ((value === null) || (typeof value !== 'object')) {
+    if (typeof value === 'function') {
+      return `[Function ${value.name || 'anonymous'}]`;
+    }
+    if (typeof value === 'bigint') {
+      return `${value}`;
+    }
+    return value;
+  }
+  if (ancestors.includes(value)) {
+    return '[Circular]';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  ancestors.push(value);
+  let copy;
+  if (Array.isArray(value)) {
+    copy = value.map((item) => redactValue(item, ancestors));
+  }
+  else if (value instanceof Error) {
+    copy = { name: value.name, message: value.message };
+  }
+  else if (value instanceof Map) {
+    copy = redactValue(Object.fromEntries(value), ancestors);
+  }
+  else if (value instanceof Set) {
+    copy = redactValue(Array.from(value), ancestors);
+  }
+  else {
+    copy = {};
+    for (let key of Object.keys(value)) {
+      const replacement = redactionFor(key);
+      copy[key] = (replacement !== null) ? replacement : redactValue(value[key], ancestors);
+    }
+  }
+  ancestors.pop();
+  return copy;
+}
+
+function inspect(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value === undefined) {
+    return 'undefined';
+  }
+  if (value instanceof Error) {
+    return value.stack || `${value.name}: ${value.message}`;
+  }
+  const redacted = redact(value);
+  if (typeof redacted === 'string') {
+    return redacted;
+  }
+  return JSON.stringify(redacted);
+}
+
+/**
+ *  Render a console-style format string and its arguments into a single string.
+ *
+ *  Supported placeholders:
+ *    - %s: string
+ *    - %d or %i: integer
+ *    - %f: floating point number
+ *    - %o or %O: object
+ *    - %j: JSON
+ *    - %c: CSS styling, which is dropped
+ *    - %%: a literal percent sign
+ *  Objects are rendered as single-line JSON, redacted as per the redaction rules.
+ *  Arguments without a matching placeholder are appended.
+ *
+ *  @param format The format string. If not a string, it is treated as just another argument.
+ *  @param args The arguments for the placeholders.
+ *
+ *  @return The rendered string.
+ */
+export function formatMessage(format, args = []) {
+  if (typeof format !== 'string') {
+    return [ format, ...args ].map((arg) => inspect(arg)).join(' ');
+  }
+  let argIdx = 0;
+  let message = format.replace(/%([sdifoOjc%])/g, (placeholder, type) => {
+    if (type === '%') {
+      return '%';
+    }
+    if (argIdx >= args.length) {
+      return placeholder;
+    }
+    const arg = args[argIdx++];
+    switch (type) {
+      case 's': return ((arg !== null) && (typeof arg === 'object')) ? inspect(arg) : String(arg);
+      case 'd':
+      case 'i': return `${(typeof arg === 'bigint') ? arg : Math.trunc(Number(arg))}`;
+      case 'f': return `${parseFloat(arg)}`;
+      case 'o':
+      case 'O': return inspect(arg);
+      case 'j': return JSON.stringify(redact(arg));
+      case 'c': return '';
+    }
+  });
+  for (; argIdx < args.length; argIdx++) {
+    message += ` ${inspect(args[argIdx])}`;
+  }
+  return message;
+}
+
+/**
+ *  Determine a numeric level from either a number, a numeric string or a level name.
+ *
+ *  @param levelOrName The level (name) to interpret.
+ *
+ *  @return The numeric level or null if not specified or not known.
+ */
+export function toLevel(levelOrName) {
+  if (!levelOrName) {
+    return null;
+  }
+  if (typeof levelOrName === 'string') {
+    return utils.isNumeric(levelOrName) ? +levelOrName : (levelNameToLevel(levelOrName) || null);
+  }
+  return +levelOrName;
 }
 
 let logEventId = 0;
 
+// THROTTLING
+
+/**
+ *  Keeps log events from flooding the handlers, e.g. when logging from animation loops.
+ *
+ *  Supports, in this order:
+ *    - collapsing repeats: consecutive log events with the same level and message format are
+ *      reported once, followed by a 'Previous message repeated N times' log event.
+ *    - sampling: only a fraction of log events below error level is passed on.
+ *    - rate limiting: a token bucket allowing a burst of log events, refilling at a fixed rate.
+ *      The number of suppressed log events is reported when the burst ends.
+ */
+class LogThrottle {
+  constructor(options) {
+    this.collapseRepeats = !!options['collapse-repeats'];
+    this.repeatWindow = +options['repeat-window'] || 1000; // ms
+    this.sampleRate = options.hasOwnProperty('sample-rate') ? +options['sample-rate'] : 1;
+    this.rateLimit = +options['rate-limit'] || 0; // Log events per second
+    this.rateBurst = +options['rate-burst'] || Math.max(1, this.rateLimit);
+    this.tokens = this.rateBurst;
+    this.lastRefill = Date.now();
+    this.repeated = null; // Of { event, count, handlers }
+    this.repeatTimer = null;
+    this.suppressed = null; // Of { event, count, handlers }
+    this.suppressedTimer = null;
+  }
+
+  config() {
+    return {
+      'collapse-repeats': this.collapseRepeats,
+      'repeat-window': this.repeatWindow,
+      'sample-rate': this.sampleRate,
+      'rate-limit': this.rateLimit,
+      'rate-burst': this.rateBurst
+    };
+  }
+
+  /**
+   *  Determine whether a log event should be passed on to the handlers.
+   */
+  admit(logEvent, handlers) {
+    const now = Date.now();
+    if (this.collapseRepeats) {
+      const last = this.repeated;
+      if (last && (last.event.level === logEvent.level) && (last.event.message === logEvent.message) && (now - last.time < this.repeatWindow)) {
+        last.count += 1;
+        last.time = now;
+        last.event = logEvent;
+        this.scheduleRepeatReport();
+        return false;
+      }
+      this.reportRepeats();
+      this.repeated = { event: logEvent, count: 0, time: now, handlers: handlers };
+    }
+    if ((this.sampleRate < 1) && (logEvent.level < ERROR_LEVEL) && (Math.random() >= this.sampleRate)) {
+      return false;
+    }
+    if (this.rateLimit > 0) {
+      this.tokens = Math.min(this.rateBurst, this.tokens + ((now - this.lastRefill) / 1000) * this.rateLimit);
+      this.lastRefill = now;
+      if (this.tokens < 1) {
+        if (!this.suppressed) {
+          this.suppressed = { event: logEvent, count: 0, handlers: handlers };
+        }
+        this.suppressed.count += 1;
+        this.scheduleSuppressedReport();
+        return false;
+      }
+      this.tokens -= 1;
+      this.reportSuppressed();
+    }
+    return true;
+  }
+
+  scheduleRepeatReport() {
+    clearTimeout(this.repeatTimer);
+    this.repeatTimer = unrefTimer(setTimeout(() => { this.reportRepeats(); }, this.repeatWindow));
+  }
+
+  scheduleSuppressedReport() {
+    clearTimeout(this.suppressedTimer);
+    const untilNextToken = Math.ceil((1 - this.tokens) * 1000 / this.rateLimit);
+    this.suppressedTimer = unrefTimer(setTimeout(() => { this.reportSuppressed(); }, untilNextToken));
+  }
+
+  reportRepeats() {
+    clearTimeout(this.repeatTimer);
+    const repeated = this.repeated;
+    this.repeated = null;
+    if (repeated && (repeated.count > 0)) {
+      const report = createLogEvent(repeated.event.name, repeated.event.level, 'Previous message repeated %d times, last one: %s',
+                                    [ repeated.count, formatMessage(repeated.event.message, repeated.event.args) ], repeated.event.context);
+      fireLogEvent(report, repeated.handlers);
+    }
+  }
+
+  reportSuppressed() {
+    clearTimeout(this.suppressedTimer);
+    const suppressed = this.suppressed;
+    this.suppressed = null;
+    if (suppressed) {
+      const report = createLogEvent(suppressed.event.name, WARNING_LEVEL, 'Rate limit exceeded: %d log events were suppressed',
+                                    [ suppressed.count ], suppressed.event.context);
+      fireLogEvent(report, suppressed.handlers);
+    }
+  }
+}
+
+// Don't let pending reports keep a Node process alive
+function unrefTimer(timer) {
+  if (timer && (typeof timer.unref === 'function')) {
+    timer.unref();
+  }
+  return timer;
+}
+
+function createLogEvent(name, level, message, args, context) {
+  return {
+    id: ++logEventId,
+    time: new Date(),
+    name: name,
+    level: level,
+    message: message,
+    args: args,
+    context: context || {}
+  };
+}
+
 /**
- *  Dispatch a log even to all registered handlers, or - if none are registered - the default handler.
+ *  Dispatch a log even to all provided handlers, or - if there are none - the default handler.
+ *  If a throttle is provided, it decides whether the log event gets dispatched at all.
  */
-function fireLogEvent(logEvent) {
+function fireLogEvent(logEvent, handlers, throttle = null) {
+  if (throttle && !throttle.admit(logEvent, handlers)) {
+    return 0;
+  }
   let calls = 0;
-  let callbacks = logHandlers.slice(); // Take a copy
+  let callbacks = handlers.slice(); // Take a copy
   if (callbacks.length === 0) {
     defaultHandler(logEvent);
   }
   else {
     for (let i = 0; i < callbacks.length; i++) {
       try {
-        callbacks[i].call(null, logEvent);
+        invokeLogHandler(callbacks[i], logEvent);
         calls += 1;
       }
       catch (err) {
-        const errLogEvent = {
-          id: ++logEventId,
-          time: new Date(),
-          name: logEvent.name,
-          level: ERROR_LEVEL,
-          message: 'Log event handler failed for event %O: %O',
-          args: [logEvent, err]
-        };
-        defaultHandler(err);        
+        const errLogEvent = createLogEvent(logEvent.name, ERROR_LEVEL, 'Log event handler failed for event %O: %O', [logEvent, err]);
+        defaultHandler(errLogEvent);
       }
     }
   }
   return calls;
 }
 
+// LOGGING CONTEXT
+
+// On Node (20.16 or later), the context follows asynchronous execution via AsyncLocalStorage. Elsewhere, a simple stack is used.
+let contextStorage; // Undefined until first needed, null when not available
+const contextStack = [];
+
+// Loaded synchronously on first use: no top-level await, yet the context is kept from the very first withContext() call
+function getContextStorage() {
+  if (contextStorage === undefined) {
+    contextStorage = null;
+    if ((typeof process !== 'undefined') && (typeof process.getBuiltinModule === 'function')) {
+      try {
+        contextStorage = new (process.getBuiltinModule('node:async_hooks').AsyncLocalStorage)();
+      }
+      catch (err) { // Keep using the stack
+      }
+    }
+  }
+  return contextStorage;
+}
+
+/**
+ *  Get the fields of the current logging context.
+ *
+ *  @return An object with all fields bound via withContext(), possibly empty.
+ */
+export function getContext() {
+  const storage = getContextStorage();
+  if (storage) {
+    return storage.getStore() || {};
+  }
+  return (contextStack.length > 0) ? contextStack[contextStack.length - 1] : {};
+}
+
+/**
+ *  Run a callback with additional fields bound to the logging context: these fields will
+ *  be added to the 'context' property of all log events created while the callback runs.
+ *
+ *  On Node (20.16 or later), the context is also kept for all asynchronous work started from the callback.
+ *  In the browser, when the callback returns a promise, the context is kept until that promise
+ *  settles: log events from unrelated code running meanwhile will then also get these fields.
+ *
+ *  @param fields An object with the fields to bind, e.g. { requestId: 123 }.
+ *  @param callback The function to run.
+ *
+ *  @return Whatever the callback returns.
+ */
+export function withContext(fields, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError("callback for withContext(fields, callback) must be a function");
+  }
+  const context = Object.assign({}, getContext(), fields);
+  if (contextStorage) {
+    return contextStorage.run(context, callback);
+  }
+  const removeContext = () => {
+    const idx = contextStack.lastIndexOf(context);
+    if (idx >= 0) {
+      contextStack.splice(idx, 1);
+    }
+  };
+  contextStack.push(context);
+  let result;
+  try {
+    result = callback();
+  }
+  catch (err) {
+    removeContext();
+    throw err;
+  }
+  if (result && (typeof result.then === 'function')) {
+    return result.finally(removeContext);
+  }
+  removeContext();
+  return result;
+}
+
+// Loggers created via getLogger(name), by name
+const loggersByName = new Map();
+
+/**
+ *  A named logger.
+ *
+ *  Dotted names (e.g. 'app.ui.dialog') form a tree: a logger without its own minimum level or handlers
+ *  inherits them from the nearest ancestor (e.g. 'app.ui', then 'app') that has been created via getLogger(),
+ *  ending with the global logger, which uses the handlers registered via addLogHandler().
+ *
+ *  Loggers created via child(fields) add their bound fields to the 'context' property of all their log events.
+ */
 export class Logger {
   constructor(name, minLevel) {
     this.name = name || '';
     this.minLevel = minLevel;
+    this.handlers = [];
+    this.fields = {};
+    this.delegate = null;
+    this.throttle = null;
+  }
+
+  /**
+   *  Get the nearest ancestor logger: the logger it was created from for a child logger, null for the global logger.
+   */
+  get parent() {
+    if (this.delegate) {
+      return this.delegate;
+    }
+    if (this === globalLogger) {
+      return null;
+    }
+    let name = this.name;
+    let dotIdx;
+    while ((dotIdx = name.lastIndexOf('.')) > 0) {
+      name = name.substring(0, dotIdx);
+      const ancestor = loggersByName.get(name);
+      if (ancestor) {
+        return ancestor;
+      }
+    }
+    return globalLogger;
+  }
+
+  /**
+   *  Get the minimum level in effect: either the own one or the one inherited from the nearest ancestor that has one.
+   */
+  get effectiveMinLevel() {
+    if (this.minLevel) {
+      return this.minLevel;
+    }
+    const parent = this.parent;
+    return parent ? parent.effectiveMinLevel : INFO_LEVEL;
+  }
+
+  /**
+   *  Get the handlers in effect: either the own ones or the ones inherited from the nearest ancestor that has any.
+   */
+  get effectiveHandlers() {
+    if (this.handlers.length > 0) {
+      return this.handlers;
+    }
+    const parent = this.parent;
+    return parent ? parent.effectiveHandlers : this.handlers;
+  }
+
+  /**
+   *  Get the throttle in effect: either the own one or the one of the nearest ancestor that has one.
+   *  Configured via config() with properties 'collapse-repeats', 'repeat-window', 'sample-rate', 'rate-limit' and 'rate-burst'.
+   */
+  get effectiveThrottle() {
+    if (this.throttle) {
+      return this.throttle;
+    }
+    const parent = this.parent;
+    return parent ? parent.effectiveThrottle : null;
+  }
+
+  /**
+   *  Create a child logger: it has the same name and inherits level and handlers from this logger,
+   *  but adds the bound fields to the 'context' property of its log events.
+   *
+   *  @param fields An object with the fields to bind, e.g. { component: 'dialog' }.
+   *
+   *  @return The child logger.
+   */
+  child(fields) {
+    const child = new Logger(this.name);
+    child.delegate = this;
+    child.fields = Object.assign({}, this.fields, fields);
+    return child;
+  }
+
+  /**
+   *  Register a log event handler for this logger (and its descendants without handlers of their own).
+   *
+   *  @param callback The function or transport to invoke when a log event occurs.
+   */
+  addHandler(callback) {
+    if (!isLogHandler(callback)) {
+      throw new TypeError("callback for addHandler(callback) must be a function or have a handle(logEvent) method");
+    }
+    this.handlers.push(callback);
+  }
+
+  /**
+   *  Unregister a log event handler for this logger.
+   *
+   *  @param callback The previously registered function or transport to now unregister.
+   *
+   *  @return True when a callback was actually removed, false if not.
+   */
+  removeHandler(callback) {
+    if (!isLogHandler(callback)) {
+      throw new TypeError("callback for removeHandler(callback) must be a function or have a handle(logEvent) method");
+    }
+    return removeFrom(this.handlers, callback);
   }
 
   config(props) {
     if (!props) {
-      return {
+      return Object.assign({
         'name': this.name,
         'min-level': this.minLevel
-      };
+      }, this.throttle ? this.throttle.config() : {});
     }
     if (props.hasOwnProperty('name')) {
       this.name = props['name'];
@@ -160,6 +741,17 @@ export class Logger {
         this.minLevel = null;
       }      
     }    
+    const throttleProps = [ 'collapse-repeats', 'repeat-window', 'sample-rate', 'rate-limit', 'rate-burst' ];
+    if (throttleProps.some((prop) => props.hasOwnProperty(prop))) {
+      const throttleConfig = Object.assign(this.throttle ? this.throttle.config() : {}, props);
+      const enabled = throttleConfig['collapse-repeats'] || (throttleConfig['rate-limit'] > 0) ||
+                      (throttleConfig.hasOwnProperty('sample-rate') && (throttleConfig['sample-rate'] < 1));
+      this.throttle = enabled ? new LogThrottle(throttleConfig) : null;
+    }
+  }
+
+  fatal(logMsgFormat, ...logMsgArgs) {
+    this.log(FATAL_LEVEL, logMsgFormat, ...logMsgArgs);
   }
 
   error(logMsgFormat, ...logMsgArgs) {
@@ -174,33 +766,120 @@ export class Logger {
     this.log(INFO_LEVEL, logMsgFormat, ...logMsgArgs);
   }
 
+  debug(logMsgFormat, ...logMsgArgs) {
+    this.log(DEBUG_LEVEL, logMsgFormat, ...logMsgArgs);
+  }
+
   trace(logMsgFormat, ...logMsgArgs) {
     this.log(TRACE_LEVEL, logMsgFormat, ...logMsgArgs);
   }
 
+  /**
+   *  Start a timer, to be stopped via timeEnd(label).
+   *
+   *  @param label The name of the timer.
+   */
+  time(label = 'default') {
+    if (!this.timers) {
+      this.timers = new Map();
+    }
+    if (this.timers.has(label)) {
+      this.warn("Timer '%s' already exists", label);
+      return;
+    }
+    this.timers.set(label, now());
+  }
+
+  /**
+   *  Stop a timer started via time(label) and log its duration.
+   *  The log event will have an additional 'duration' property: the elapsed time in milliseconds.
+   *
+   *  @param label The name of the timer.
+   *  @param logLevel The level to log at. Defaults to the info level.
+   *
+   *  @return The elapsed time in milliseconds, or null if there is no such timer.
+   */
+  timeEnd(label = 'default', logLevel = INFO_LEVEL) {
+    if (!this.timers || !this.timers.has(label)) {
+      this.warn("Timer '%s' does not exist", label);
+      return null;
+    }
+    const duration = now() - this.timers.get(label);
+    this.timers.delete(label);
+    this.emit(logLevel, '%s: %fms', [ label, +duration.toFixed(3) ], { duration: duration });
+    return duration;
+  }
+
+  /**
+   *  Log an error if an assertion fails.
+   *  The log event will have an additional 'failure' property: an object with properties 'type' (being 'assertion') and 'message'.
+   *
+   *  @param condition The condition expected to be truthy.
+   *  @param logMsgFormat The message format to log when the condition is falsy.
+   *  @param logMsgArgs The arguments for the message format.
+   *
+   *  @return True if the assertion holds.
+   */
+  assert(condition, logMsgFormat = '', ...logMsgArgs) {
+    if (condition) {
+      return true;
+    }
+    const message = formatMessage(logMsgFormat, logMsgArgs);
+    this.emit(ERROR_LEVEL, 'Assertion failed: %s', [ message ], { failure: { type: 'assertion', message: message } });
+    return false;
+  }
+
   log(logLevel, logMsgFormat, ...logMsgArgs) {
-    const actualMinLevel = this.minLevel || globalLogger.minLevel || INFO_LEVEL
-    if (actualMinLevel > logLevel) {
+    this.emit(logLevel, logMsgFormat, logMsgArgs);
+  }
+
+  emit(logLevel, logMsgFormat, logMsgArgs, extraProps = null) {
+    if (this.effectiveMinLevel > logLevel) {
       return;
     }
-    let logEvent = {
-      id: ++logEventId,
-      time: new Date(),
-      name: this.name,
-      level: logLevel, 
-      message: logMsgFormat,
-      args: logMsgArgs
-    };
-    fireLogEvent(logEvent);
+    let logEvent = createLogEvent(this.name, logLevel, logMsgFormat, logMsgArgs, Object.assign({}, getContext(), this.fields));
+    if (extraProps) {
+      Object.assign(logEvent, extraProps);
+    }
+    fireLogEvent(logEvent, this.effectiveHandlers, this.effectiveThrottle);
   }
 }
 
+function now() {
+  return (typeof performance !== 'undefined') ? performance.now() : Date.now();
+}
+
 let globalLogger = new Logger('', INFO_LEVEL);
+globalLogger.handlers = logHandlers;
+
+/**
+ *  Get the logger with a given name, creating it if needed.
+ *  Repeated calls with the same name return the same instance.
+ *
+ *  @param name A dotted name, e.g. 'app.ui.dialog'. If empty, the global logger is returned.
+ *
+ *  @return The logger.
+ */
+export function getLogger(name) {
+  if (!name) {
+    return globalLogger;
+  }
+  let logger = loggersByName.get(name);
+  if (!logger) {
+    logger = new Logger(name);
+    loggersByName.set(name, logger);
+  }
+  return logger;
+}
 
 export function config(props) {
   return globalLogger.config(props);
 }
 
+export function fatal(logMsgFormat, ...logMsgArgs) {
+  globalLogger.log(FATAL_LEVEL, logMsgFormat, ...logMsgArgs);
+}
+
 export function error(logMsgFormat, ...logMsgArgs) {
   globalLogger.log(ERROR_LEVEL, logMsgFormat, ...logMsgArgs);
 }
@@ -213,6 +892,10 @@ export function info(logMsgFormat, ...logMsgArgs) {
   globalLogger.log(INFO_LEVEL, logMsgFormat, ...logMsgArgs);
 }
 
+export function debug(logMsgFormat, ...logMsgArgs) {
+  globalLogger.log(DEBUG_LEVEL, logMsgFormat, ...logMsgArgs);
+}
+
 export function trace(logMsgFormat, ...logMsgArgs) {
   globalLogger.log(TRACE_LEVEL, logMsgFormat, ...logMsgArgs);
 }
@@ -220,3 +903,15 @@ export function trace(logMsgFormat, ...logMsgArgs) {
 export function log(logLevel, logMsgFormat, ...logMsgArgs) {
   globalLogger.log(logLevel, logMsgFormat, ...logMsgArgs);
 }
+
+export function time(label) {
+  globalLogger.time(label);
+}
+
+export function timeEnd(label, logLevel) {
+  return globalLogger.timeEnd(label, logLevel);
+}
+
+export function assert(condition, logMsgFormat, ...logMsgArgs) {
+  return globalLogger.assert(condition, logMsgFormat, ...logMsgArgs);
+}
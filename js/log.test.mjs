@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as log from './log.mjs';
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ *  Run a callback while capturing the log events of the global logger.
+ */
+async function captureLogEvents(callback) {
+  const logEvents = [];
+  const handler = (logEvent) => { logEvents.push(logEvent); };
+  log.addLogHandler(handler);
+  try {
+    await callback();
+  }
+  finally {
+    log.removeLogHandler(handler);
+  }
+  return logEvents;
+}
+
+// Should remain the first test: the context must work right after importing
+test('withContext keeps the context across await from the very first call', async () => {
+  const logEvents = await captureLogEvents(() => log.withContext({ requestId: 1 }, async () => {
+    await delay(1);
+    log.info('after await');
+  }));
+  assert.deepEqual(logEvents.map((e) => e.context), [ { requestId: 1 } ]);
+});
+
+test('withContext keeps concurrent contexts apart', async () => {
+  const logEvents = await captureLogEvents(() => Promise.all([ 1, 2 ].map((requestId) => log.withContext({ requestId }, async () => {
+    await delay(10 - requestId);
+    log.info('request %d', requestId);
+  }))));
+  assert.deepEqual(logEvents.map((e) => e.context.requestId), [ 2, 1 ]);
+  assert.deepEqual(log.getContext(), {});
+});
+
+test('child loggers add their bound fields to the context', async () => {
+  const logEvents = await captureLogEvents(() => log.withContext({ requestId: 3 }, () => {
+    log.getLogger('').child({ component: 'dialog' }).warn('child');
+  }));
+  assert.deepEqual(logEvents.map((e) => e.context), [ { requestId: 3, component: 'dialog' } ]);
+});
+
+test('default redaction only applies to keys made up of sensitive words', () => {
+  const redacted = log.redact({
+    passengers: 3, compass: 'N', bypassCache: true, tokenCount: 5,
+    password: 'a', userPassword: 'b', client_secret: 'c', accessToken: 'd', 'x-api-key': 'e', Authorization: 'f'
+  });
+  assert.deepEqual(redacted, {
+    passengers: 3, compass: 'N', bypassCache: true, tokenCount: 5,
+    password: '[REDACTED]', userPassword: '[REDACTED]', client_secret: '[REDACTED]', accessToken: '[REDACTED]', 'x-api-key': '[REDACTED]', Authorization: '[REDACTED]'
+  });
+});
@@ -0,0 +1,334 @@
+import * as log from './log.mjs';
+import { ConsoleTransport, JsonLinesTransport, RotatingFileTransport, MemoryTransport, HttpTransport } from './logtransports.mjs';
+
+// Declarative logging configuration.
+//
+// A configuration is an object (or its JSON representation) like:
+//   {
+//     "level": "info",
+//     "loggers": {
+//       "app.ui": "trace",
+//       "app.net": { "level": "warning", "transports": [ { "type": "memory", "id": "net-buffer" } ] },
+//       "app.anim": { "collapse-repeats": true, "rate-limit": 10 }
+//     },
+//     "transports": [ { "type": "json-lines", "level": "warning" } ]
+//   }
+// where 'level' and 'transports' at the top apply to the global logger. Logger entries can also have the
+// throttling properties supported by Logger.config().
+//
+// Levels can also be given as a level spec: a comma-separated list of 'name:level' entries, where
+// an entry without a name applies to the global logger, e.g. 'info,app.ui:trace'.
+// Such a spec is accepted from the LOG_LEVEL environment variable on Node, and from the 'log' URL query
+// parameter or 'log' localStorage key in the browser. A full JSON configuration is accepted from the
+// LOG_CONFIG environment variable on Node, or from that same URL parameter or localStorage key.
+
+const transportFactories = new Map([
+  [ 'console', (options) => new ConsoleTransport(options) ],
+  [ 'json-lines', (options) => new JsonLinesTransport(options) ],
+  [ 'file', (options) => new RotatingFileTransport(options) ],
+  [ 'memory', (options) => new MemoryTransport(options) ],
+  [ 'http', (options) => new HttpTransport(options) ]
+]);
+
+// The last configuration passed to configure(), to re-apply on reload()
+let baseConfig = {};
+
+// What the currently applied configuration changed, to be able to undo it
+let configuredLevels = []; // Of { logger, previousMinLevel }
+let configuredThrottles = []; // Of { logger, previousThrottle }
+let installedTransports = []; // Of { logger, transport, id }
+
+/**
+ *  Register an additional transport type, to be used as 'type' in a configuration.
+ *
+ *  @param type The name of the transport type.
+ *  @param factory A function accepting the transport's options and returning a transport.
+ */
+export function registerTransportType(type, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError("factory for registerTransportType(type, factory) must be a function");
+  }
+  transportFactories.set(type, factory);
+}
+
+/**
+ *  Parse a level spec.
+ *
+ *  @param spec A comma-separated list of 'name:level' entries, e.g. 'info,app.ui:trace'.
+ *
+ *  @return An object mapping logger names to levels, with '' being the global logger.
+ */
+export function parseLevelSpec(spec) {
+  const levels = {};
+  for (let entry of (spec || '').split(',')) {
+    entry = entry.trim();
+    if (!entry) {
+      continue;
+    }
+    const colonIdx = entry.lastIndexOf(':');
+    const name = (colonIdx >= 0) ? entry.substring(0, colonIdx).trim() : '';
+    const level = log.toLevel((colonIdx >= 0) ? entry.substring(colonIdx + 1).trim() : entry);
+    if (!level) {
+      throw new Error(`Invalid level in log level spec entry '${entry}'`);
+    }
+    levels[name] = level;
+  }
+  return levels;
+}
+
+/**
+ *  Turn a configuration source value into a configuration: either JSON or a level spec.
+ *  A malformed or invalid value is ignored as a whole, so it can't prevent the application from starting.
+ *
+ *  @param value The value to parse.
+ *  @param source A description of where the value comes from, for reporting.
+ */
+function parseConfigValue(value, source) {
+  if (!value) {
+    return {};
+  }
+  value = value.trim();
+  try {
+    if (value.startsWith('{')) {
+      return checkConfig(JSON.parse(value));
+    }
+    return levelSpecToConfig(parseLevelSpec(value));
+  }
+  catch (err) {
+    log.warn("Ignoring invalid log configuration from %s: %O", source, err);
+    return {};
+  }
+}
+
+/**
+ *  Check a configuration, before anything of it gets applied.
+ *
+ *  @param config The configuration object.
+ *
+ *  @return The configuration, if valid.
+ *  @throws Error if it has an invalid level or an unknown transport type.
+ */
+function checkConfig(config) {
+  const checkLevel = (level, name) => {
+    if (level && !log.toLevel(level)) {
+      throw new Error(`Invalid level '${level}' for logger '${name}'`);
+    }
+  };
+  const checkTransports = (transports) => {
+    if (!Array.isArray(transports)) {
+      throw new Error("Log transports must be specified as an array");
+    }
+    for (let spec of transports) {
+      if (!spec || !transportFactories.has(spec.type)) {
+        throw new Error(`Unknown log transport type '${spec ? spec.type : spec}'`);
+      }
+    }
+  };
+  if ((typeof config !== 'object') || (config === null)) {
+    throw new Error("Log configuration must be an object");
+  }
+  checkLevel(config.level, '');
+  checkTransports(config.transports || []);
+  for (let name in (config.loggers || {})) {
+    const { level, transports } = normalizeLoggerConfig(config.loggers[name]);
+    checkLevel(level, name);
+    checkTransports(transports);
+  }
+  return config;
+}
+
+function levelSpecToConfig(levels) {
+  const config = { loggers: {} };
+  for (let name in levels) {
+    if (name) {
+      config.loggers[name] = levels[name];
+    }
+    else {
+      config.level = levels[name];
+    }
+  }
+  return config;
+}
+
+/**
+ *  Merge configurations: levels of later ones override those of earlier ones, transports are combined.
+ */
+function mergeConfigs(...configs) {
+  const merged = { loggers: {}, transports: [] };
+  for (let config of configs) {
+    if (config.level) {
+      merged.level = config.level;
+    }
+    for (let name in (config.loggers || {})) {
+      const previous = normalizeLoggerConfig(merged.loggers[name]);
+      const next = normalizeLoggerConfig(config.loggers[name]);
+      merged.loggers[name] = {
+        level: next.level || previous.level,
+        transports: previous.transports.concat(next.transports),
+        throttle: Object.assign(previous.throttle, next.throttle)
+      };
+    }
+    merged.transports = merged.transports.concat(config.transports || []);
+  }
+  return merged;
+}
+
+const THROTTLE_PROPS = [ 'collapse-repeats', 'repeat-window', 'sample-rate', 'rate-limit', 'rate-burst' ];
+
+function normalizeLoggerConfig(loggerConfig) {
+  if (!loggerConfig) {
+    return { level: null, transports: [], throttle: {} };
+  }
+  if ((typeof loggerConfig === 'string') || (typeof loggerConfig === 'number')) {
+    return { level: loggerConfig, transports: [], throttle: {} };
+  }
+  const throttle = {};
+  for (let prop of THROTTLE_PROPS) {
+    if (loggerConfig.hasOwnProperty(prop)) {
+      throttle[prop] = loggerConfig[prop];
+    }
+  }
+  return { level: loggerConfig.level || null, transports: loggerConfig.transports || [], throttle: loggerConfig.throttle || throttle };
+}
+
+/**
+ *  Read the configuration from the environment: environment variables on Node, URL and localStorage in the browser.
+ *
+ *  @return The configuration found, possibly empty.
+ */
+export function readEnvironmentConfig() {
+  const configs = [];
+  if ((typeof process !== 'undefined') && process.env) {
+    configs.push(parseConfigValue(process.env.LOG_CONFIG, 'environment variable LOG_CONFIG'));
+    configs.push(parseConfigValue(process.env.LOG_LEVEL, 'environment variable LOG_LEVEL'));
+  }
+  if (typeof window !== 'undefined') {
+    try {
+      if (window.localStorage) {
+        configs.push(parseConfigValue(window.localStorage.getItem('log'), "localStorage key 'log'"));
+      }
+    }
+    catch (err) { // E.g. access denied in sandboxed frames
+      log.trace("Cannot read log configuration from localStorage: %O", err);
+    }
+    if (window.location) {
+      configs.push(parseConfigValue(new URLSearchParams(window.location.search).get('log'), "URL parameter 'log'"));
+    }
+  }
+  return mergeConfigs(...configs);
+}
+
+/**
+ *  Undo everything the currently applied configuration changed.
+ *
+ *  @return The transports that got uninstalled, still to be closed.
+ */
+function resetConfig() {
+  for (let { logger, previousMinLevel } of configuredLevels.reverse()) {
+    logger.minLevel = previousMinLevel;
+  }
+  for (let { logger, previousThrottle } of configuredThrottles.reverse()) {
+    logger.throttle = previousThrottle;
+  }
+  const uninstalled = [];
+  for (let { logger, transport } of installedTransports) {
+    logger.removeHandler(transport);
+    uninstalled.push(transport);
+  }
+  configuredLevels = [];
+  configuredThrottles = [];
+  installedTransports = [];
+  return uninstalled;
+}
+
+function applyLevel(logger, level) {
+  const minLevel = log.toLevel(level);
+  if (!minLevel) {
+    throw new Error(`Invalid level '${level}' for logger '${logger.name}'`);
+  }
+  configuredLevels.push({ logger: logger, previousMinLevel: logger.minLevel });
+  logger.minLevel = minLevel;
+}
+
+function applyTransport(logger, spec) {
+  const factory = transportFactories.get(spec.type);
+  if (!factory) {
+    throw new Error(`Unknown log transport type '${spec.type}'`);
+  }
+  const options = Object.assign({}, spec, { minLevel: spec.level || spec.minLevel || spec['min-level'] });
+  const transport = factory(options);
+  logger.addHandler(transport);
+  installedTransports.push({ logger: logger, transport: transport, id: spec.id });
+}
+
+/**
+ *  Apply a configuration, combined with whatever the environment specifies.
+ *  Any previously applied configuration is undone first.
+ *
+ *  @param config The configuration object or its JSON representation. If not specified, only the environment is used.
+ *
+ *  @return A promise resolving to the configuration actually applied, once the transports of the previous
+ *          configuration have written out all their buffered log events.
+ *          It rejects, without changing anything, when the configuration has an invalid level or an unknown transport type.
+ */
+export async function configure(config = {}) {
+  if (typeof config === 'string') {
+    config = JSON.parse(config);
+  }
+  checkConfig(config);
+  baseConfig = config;
+  const applied = mergeConfigs(config, readEnvironmentConfig());
+  const uninstalled = resetConfig();
+  try {
+    applyConfig(applied);
+  }
+  finally { // Don't lose what the previous transports still buffer
+    await Promise.all(uninstalled.map((transport) => transport.close()));
+  }
+  return applied;
+}
+
+function applyConfig(config) {
+  const rootLogger = log.getLogger();
+  if (config.level) {
+    applyLevel(rootLogger, config.level);
+  }
+  for (let spec of config.transports) {
+    applyTransport(rootLogger, spec);
+  }
+  for (let name in config.loggers) {
+    const logger = log.getLogger(name);
+    const { level, transports, throttle } = config.loggers[name];
+    if (level) {
+      applyLevel(logger, level);
+    }
+    if (Object.keys(throttle).length > 0) {
+      configuredThrottles.push({ logger: logger, previousThrottle: logger.throttle });
+      logger.config(throttle);
+    }
+    for (let spec of transports) {
+      applyTransport(logger, spec);
+    }
+  }
+}
+
+/**
+ *  Re-read the environment and re-apply the configuration last passed to configure().
+ *
+ *  @return A promise resolving to the configuration actually applied.
+ */
+export function reload() {
+  return configure(baseConfig);
+}
+
+/**
+ *  Get a transport installed by the current configuration, by the 'id' given in its spec.
+ *
+ *  @param id The ID of the transport.
+ *
+ *  @return The transport or null if not found.
+ */
+export function getTransport(id) {
+  const installed = installedTransports.find((it) => it.id === id);
+  return installed ? installed.transport : null;
+}
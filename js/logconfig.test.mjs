@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as log from './log.mjs';
+import * as logconfig from './logconfig.mjs';
+import { LogTransport } from './logtransports.mjs';
+
+test('configure() ignores malformed environment values', async (t) => {
+  const warnMock = t.mock.method(console, 'warn', () => {});
+  process.env.LOG_CONFIG = '{ "level": ';
+  process.env.LOG_LEVEL = 'info,app.ui:verbose';
+  t.after(() => {
+    delete process.env.LOG_CONFIG;
+    delete process.env.LOG_LEVEL;
+  });
+  const applied = await logconfig.configure({ level: 'error' });
+  assert.equal(applied.level, 'error');
+  assert.equal(log.getLogger().minLevel, log.ERROR_LEVEL);
+  assert.equal(warnMock.mock.callCount(), 2);
+  await logconfig.configure({ level: 'info' });
+});
+
+test('configure() ignores environment values with invalid levels or transport types as a whole', async (t) => {
+  const warnMock = t.mock.method(console, 'warn', () => {});
+  t.after(() => {
+    delete process.env.LOG_CONFIG;
+  });
+  for (let value of [ '{"level":"verbose"}', '{"transports":[{"type":"jsonlines"}]}', '{"loggers":{"app":"bogus"},"level":"error"}' ]) {
+    process.env.LOG_CONFIG = value;
+    const applied = await logconfig.configure({ level: 'warning' });
+    assert.deepEqual(applied, { level: 'warning', loggers: {}, transports: [] });
+    assert.equal(log.getLogger().minLevel, log.WARNING_LEVEL);
+  }
+  assert.equal(warnMock.mock.callCount(), 3);
+  await assert.rejects(logconfig.configure({ level: 'error', loggers: { app: 'bogus' } }), /Invalid level 'bogus'/);
+  assert.equal(log.getLogger().minLevel, log.WARNING_LEVEL);
+  delete process.env.LOG_CONFIG;
+  await logconfig.configure({ level: 'info' });
+});
+
+/**
+ *  A transport taking some time to close, recording the IDs of those closed.
+ */
+class SlowClosingTransport extends LogTransport
+{
+  constructor(options, closed) {
+    super(options);
+    this.id = options.id;
+    this.closed = closed;
+  }
+
+  write(logEvent, formatted) {
+  }
+
+  async close() {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    this.closed.push(this.id);
+  }
+}
+
+test('configure() waits for the previous transports to close', async () => {
+  const closed = [];
+  logconfig.registerTransportType('slow', (options) => new SlowClosingTransport(options, closed));
+  await logconfig.configure({ transports: [ { type: 'slow', id: 'first' } ] });
+  assert.ok(logconfig.getTransport('first'));
+  await logconfig.configure({});
+  assert.deepEqual(closed, [ 'first' ]);
+  assert.equal(logconfig.getTransport('first'), null);
+});
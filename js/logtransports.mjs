@@ -0,0 +1,448 @@
+import * as log from './log.mjs';
+import * as utils from './utils.mjs';
+
+// Log transports: log handlers with their own minimum level and formatter, to be registered via log.addLogHandler()
+
+/**
+ *  Render the message of a log event, with all placeholders expanded and sensitive values redacted.
+ */
+function renderMessage(logEvent) {
+  return log.formatMessage(logEvent.message, logEvent.args || []);
+}
+
+function hasContext(logEvent) {
+  return !!logEvent.context && (Object.keys(logEvent.context).length > 0);
+}
+
+/**
+ *  A formatter that turns a log event into a single line of human-readable text.
+ *
+ *  @param logEvent The log event to format.
+ *
+ *  @return A string with following form: <code>yyyy-mm-ddThh:mm:ssZ &lt;name&gt; [level] message {context}</code>
+ */
+export function textFormatter(logEvent) {
+  const time = `${utils.formatDateTime(logEvent.time, 'T', true)}Z`;
+  const name = logEvent.name ? ` <${logEvent.name}>` : '';
+  const context = hasContext(logEvent) ? ` ${log.formatMessage('%o', [ logEvent.context ])}` : '';
+  return `${time}${name} [${log.levelToLevelName(logEvent.level)}] ${renderMessage(logEvent)}${context}`;
+}
+
+/**
+ *  A formatter that turns a log event into a single line of JSON.
+ *
+ *  @param logEvent The log event to format.
+ *
+ *  @return A JSON string with properties 'id', 'time', 'name', 'level', 'levelName', 'message' and - if present -
+ *          'context', 'duration' and 'failure'.
+ */
+export function jsonFormatter(logEvent) {
+  const json = {
+    id: logEvent.id,
+    time: utils.toDateTime(logEvent.time).toISOString(),
+    name: logEvent.name,
+    level: logEvent.level,
+    levelName: log.levelToLevelName(logEvent.level),
+    message: renderMessage(logEvent)
+  };
+  if (hasContext(logEvent)) {
+    json.context = log.redact(logEvent.context);
+  }
+  if (logEvent.hasOwnProperty('duration')) {
+    json.duration = logEvent.duration;
+  }
+  if (logEvent.failure) {
+    json.failure = logEvent.failure;
+  }
+  return JSON.stringify(json);
+}
+
+/**
+ *  Base class for all transports.
+ *
+ *  A transport has following properties:
+ *    - minLevel: the minimum level for a log event to be handled. If not set, all log events are handled.
+ *    - formatter: a function turning a log event into a string.
+ *
+ *  Subclasses should override write(logEvent, formatted).
+ */
+export class LogTransport
+{
+  /**
+   *  Create the transport.
+   *
+   *  @param options Following options are available:
+   *                  'minLevel' or 'min-level': the minimum level, either as number or as level name.
+   *                  'formatter': the function to format log events with. Defaults to textFormatter.
+   */
+  constructor(options = {}) {
+    this.minLevel = log.toLevel(options.minLevel || options['min-level']);
+    this.formatter = options.formatter || textFormatter;
+  }
+
+  /**
+   *  Check whether a log event passes the minimum level of this transport.
+   *
+   *  @param logEvent The log event to check.
+   *
+   *  @return True if the log event should be handled.
+   */
+  accepts(logEvent) {
+    return !this.minLevel || (logEvent.level >= this.minLevel);
+  }
+
+  /**
+   *  Handle a log event: invoked for each log event when registered via log.addLogHandler().
+   *
+   *  @param logEvent The log event to handle.
+   */
+  handle(logEvent) {
+    if (!this.accepts(logEvent)) {
+      return;
+    }
+    this.write(logEvent, this.formatter(logEvent));
+  }
+
+  /** Should be overridden */
+  write(logEvent, formatted) {
+    throw new Error(`${this.constructor.name} must implement write(logEvent, formatted)`);
+  }
+
+  /**
+   *  Ensure all buffered log events are written out.
+   */
+  async flush() {
+  }
+
+  /**
+   *  Flush and release any resources held.
+   */
+  async close() {
+    await this.flush();
+  }
+}
+
+/**
+ *  A transport emitting log events to the console, just like log.defaultHandler() does.
+ */
+export class ConsoleTransport extends LogTransport
+{
+  handle(logEvent) {
+    if (this.accepts(logEvent)) {
+      log.defaultHandler(logEvent);
+    }
+  }
+}
+
+/**
+ *  A transport writing each log event as a single line of JSON.
+ */
+export class JsonLinesTransport extends LogTransport
+{
+  /**
+   *  Create the transport.
+   *
+   *  @param options The options supported by LogTransport (with 'formatter' defaulting to jsonFormatter), as well as:
+   *                  'write': a function accepting a single line of text. Defaults to writing to stdout on Node or console.log otherwise.
+   */
+  constructor(options = {}) {
+    super(Object.assign({ formatter: jsonFormatter }, options));
+    this.writeLine = options.write || defaultWriteLine;
+  }
+
+  write(logEvent, formatted) {
+    this.writeLine(formatted);
+  }
+}
+
+function defaultWriteLine(line) {
+  if ((typeof process !== 'undefined') && process.stdout && process.stdout.write) {
+    process.stdout.write(`${line}\n`);
+  }
+  else {
+    console.log(line);
+  }
+}
+
+/**
+ *  A transport appending log events to a file, rotating it when it grows too large.
+ *  Only works on Node.
+ *
+ *  When rotating, 'app.log' becomes 'app.log.1', 'app.log.1' becomes 'app.log.2' and so on,
+ *  until 'maxFiles' is reached after which the oldest file is discarded.
+ */
+export class RotatingFileTransport extends LogTransport
+{
+  /**
+   *  Create the transport.
+   *
+   *  @param options The options supported by LogTransport, as well as:
+   *                  'path': the file to write to. Mandatory.
+   *                  'maxSize': the maximum size in bytes of a single file. Defaults to 1MB.
+   *                  'maxFiles': the maximum number of rotated files to keep. Defaults to 5.
+   */
+  constructor(options = {}) {
+    super(options);
+    if (!options.path) {
+      throw new TypeError("path for RotatingFileTransport(options) must be specified");
+    }
+    this.path = options.path;
+    this.maxSize = options.maxSize || (1024 * 1024);
+    this.maxFiles = options.maxFiles || 5;
+    this.fs = null;
+    this.size = 0;
+    this.pending = []; // Lines written before the fs module got loaded
+    this.ready = import('node:fs').then((fs) => {
+      this.fs = fs;
+      try {
+        this.size = fs.statSync(this.path).size;
+      }
+      catch (err) { // Doesn't exist yet
+        this.size = 0;
+      }
+      const pending = this.pending;
+      this.pending = [];
+      for (let line of pending) {
+        this.writeLine(line);
+      }
+    }).catch((err) => {
+      this.pending = null; // Don't keep buffering lines that can't be written
+      // Report directly to the console: logging would just come back here
+      log.defaultHandler({
+        time: new Date(),
+        level: log.ERROR_LEVEL,
+        message: 'Writing log events to %s failed: %O',
+        args: [ this.path, err ]
+      });
+    });
+  }
+
+  write(logEvent, formatted) {
+    const line = `${formatted}\n`;
+    if (!this.fs) {
+      if (this.pending) {
+        this.pending.push(line);
+      }
+      return;
+    }
+    this.writeLine(line);
+  }
+
+  writeLine(line) {
+    const lineSize = Buffer.byteLength(line);
+    if ((this.size > 0) && (this.size + lineSize > this.maxSize)) {
+      this.rotate();
+    }
+    this.fs.appendFileSync(this.path, line);
+    this.size += lineSize;
+  }
+
+  rotate() {
+    const fs = this.fs;
+    for (let i = this.maxFiles - 1; i >= 0; i--) { // Renaming onto the oldest file discards it
+      const from = (i === 0) ? this.path : `${this.path}.${i}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.path}.${i + 1}`);
+      }
+    }
+    this.size = 0;
+  }
+
+  async flush() {
+    await this.ready;
+  }
+}
+
+/**
+ *  A transport keeping the most recent log events in memory, using a ring buffer.
+ */
+export class MemoryTransport extends LogTransport
+{
+  /**
+   *  Create the transport.
+   *
+   *  @param options The options supported by LogTransport, as well as:
+   *                  'capacity': the maximum number of log events kept. Defaults to 1000.
+   */
+  constructor(options = {}) {
+    super(options);
+    this.capacity = options.capacity || 1000;
+    this.clear();
+  }
+
+  write(logEvent, formatted) {
+    const entry = { event: logEvent, text: formatted };
+    if (this.buffer.length < this.capacity) {
+      this.buffer.push(entry);
+    }
+    else {
+      this.buffer[this.start] = entry;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   *  Get the number of log events kept.
+   */
+  get size() {
+    return this.buffer.length;
+  }
+
+  /**
+   *  Get the log events kept, oldest first.
+   *
+   *  @return An array of log events.
+   */
+  entries() {
+    return this.orderedBuffer().map((entry) => entry.event);
+  }
+
+  /**
+   *  Get the formatted log events kept, oldest first.
+   *
+   *  @return An array of strings.
+   */
+  lines() {
+    return this.orderedBuffer().map((entry) => entry.text);
+  }
+
+  /**
+   *  Discard all log events kept.
+   */
+  clear() {
+    this.buffer = [];
+    this.start = 0;
+  }
+
+  orderedBuffer() {
+    return this.buffer.slice(this.start).concat(this.buffer.slice(0, this.start));
+  }
+}
+
+// Don't let pending sends keep a Node process alive
+function unrefTimer(timer) {
+  if (timer && (typeof timer.unref === 'function')) {
+    timer.unref();
+  }
+  return timer;
+}
+
+/**
+ *  A transport sending log events in batches to an HTTP endpoint, e.g. a local log collector.
+ *
+ *  Each batch is POST-ed as newline-delimited formatted log events.
+ */
+export class HttpTransport extends LogTransport
+{
+  /**
+   *  Create the transport.
+   *
+   *  @param options The options supported by LogTransport (with 'formatter' defaulting to jsonFormatter), as well as:
+   *                  'url': the URL to POST batches to. Mandatory.
+   *                  'batchSize': the number of log events that triggers an immediate send. Defaults to 50.
+   *                  'flushInterval': the maximum number of milliseconds a log event is kept before sending. Defaults to 1000.
+   *                  'maxQueueSize': the maximum number of log events kept when sending fails. Defaults to 1000.
+   *                  'maxRetryDelay': the maximum number of milliseconds to wait before retrying a failed send. Defaults to 60000.
+   *                                   The delay starts at 'flushInterval', and doubles with each consecutive failure.
+   *                  'maxRetries': the number of consecutive failed retries after which the queued log events are discarded.
+   *                                Defaults to 10. No retries are done anymore once closed.
+   *                  'headers': additional HTTP headers to send.
+   */
+  constructor(options = {}) {
+    super(Object.assign({ formatter: jsonFormatter }, options));
+    if (!options.url) {
+      throw new TypeError("url for HttpTransport(options) must be specified");
+    }
+    this.url = options.url;
+    this.batchSize = options.batchSize || 50;
+    this.flushInterval = options.flushInterval || 1000;
+    this.maxQueueSize = options.maxQueueSize || 1000;
+    this.maxRetryDelay = options.maxRetryDelay || 60000;
+    this.maxRetries = options.hasOwnProperty('maxRetries') ? options.maxRetries : 10;
+    this.headers = Object.assign({ 'Content-Type': 'application/x-ndjson' }, options.headers);
+    this.queue = [];
+    this.timer = null;
+    this.sending = Promise.resolve(); // All sends are chained onto this
+    this.failures = 0; // The number of consecutive failed sends
+    this.closed = false;
+  }
+
+  write(logEvent, formatted) {
+    this.queue.push(formatted);
+    if (this.queue.length > this.maxQueueSize) {
+      this.queue.splice(0, this.queue.length - this.maxQueueSize);
+    }
+    if ((this.queue.length >= this.batchSize) && (this.failures === 0)) { // When failing, wait for the retry
+      this.flush();
+    }
+    else if (!this.timer) {
+      this.timer = unrefTimer(setTimeout(() => { this.flush(); }, this.flushInterval));
+    }
+  }
+
+  /**
+   *  Send all queued log events.
+   *
+   *  @return A promise that resolves once sending is done (successful or not), including all earlier sends.
+   */
+  flush() {
+    this.clearTimer();
+    this.sending = this.sending.then(() => { // Once the ongoing send is done, send whatever got queued meanwhile
+      if (this.queue.length === 0) {
+        return;
+      }
+      const batch = this.queue;
+      this.queue = [];
+      return this.send(batch);
+    });
+    return this.sending;
+  }
+
+  async close() {
+    this.closed = true; // Don't retry anymore
+    await this.flush();
+    this.clearTimer();
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async send(batch) {
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: this.headers,
+        body: batch.join('\n')
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`);
+      }
+      this.failures = 0;
+    }
+    catch (err) {
+      // Keep the batch for a retry, and report directly to the console: logging would just come back here
+      this.queue = batch.concat(this.queue).slice(-this.maxQueueSize);
+      this.failures += 1;
+      this.clearTimer();
+      if (this.failures > this.maxRetries) {
+        err = new Error(`Giving up after ${this.maxRetries} retries, discarding ${this.queue.length} log events: ${err.message}`);
+        this.queue = [];
+        this.failures = 0;
+      }
+      else if (!this.closed) {
+        const retryDelay = Math.min(this.flushInterval * Math.pow(2, this.failures - 1), this.maxRetryDelay);
+        this.timer = unrefTimer(setTimeout(() => { this.flush(); }, retryDelay));
+      }
+      log.defaultHandler({
+        time: new Date(),
+        level: log.ERROR_LEVEL,
+        message: 'Sending log events to %s failed: %O',
+        args: [ this.url, err ]
+      });
+    }
+  }
+}
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import { spawn } from 'node:child_process';
+import * as log from './log.mjs';
+import { HttpTransport, RotatingFileTransport } from './logtransports.mjs';
+
+function logEvent(message) {
+  return { id: 1, time: new Date(), name: 'test', level: log.INFO_LEVEL, message: message, args: [], context: {} };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('HttpTransport flush() resolves only once all sends are done', async (t) => {
+  const bodies = [];
+  let inFlight = 0;
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    inFlight += 1;
+    await delay(20);
+    inFlight -= 1;
+    bodies.push(init.body);
+    return { ok: true };
+  });
+  const transport = new HttpTransport({ url: 'http://localhost/logs', formatter: (e) => e.message });
+  transport.handle(logEvent('one'));
+  const first = transport.flush();
+  await delay(5); // Let the first send start
+  transport.handle(logEvent('two'));
+  const second = transport.flush();
+  const third = transport.flush();
+  await Promise.all([ first, second, third ]);
+  assert.equal(inFlight, 0);
+  assert.deepEqual(bodies, [ 'one', 'two' ]);
+  await transport.close();
+});
+
+test('HttpTransport retries a failed send with backoff', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const bodies = [];
+  let fail = true;
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    bodies.push(init.body);
+    return fail ? { ok: false, status: 503, statusText: 'Unavailable' } : { ok: true };
+  });
+  const transport = new HttpTransport({ url: 'http://localhost/logs', formatter: (e) => e.message, batchSize: 2, flushInterval: 20 });
+  transport.handle(logEvent('one'));
+  await transport.flush();
+  assert.equal(bodies.length, 1);
+  assert.equal(transport.failures, 1);
+  transport.handle(logEvent('two')); // Reaches the batch size, but shouldn't be sent before the retry
+  await delay(5);
+  assert.equal(bodies.length, 1);
+  fail = false;
+  await delay(40);
+  assert.deepEqual(bodies, [ 'one', 'one\ntwo' ]);
+  assert.equal(transport.failures, 0);
+  assert.equal(transport.queue.length, 0);
+  await transport.close();
+});
+
+test('RotatingFileTransport keeps at most maxFiles rotated files', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logtransports-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'app.log');
+  const transport = new RotatingFileTransport({ path: file, maxSize: 20, maxFiles: 2, formatter: (e) => e.message });
+  for (let i = 0; i < 10; i++) {
+    transport.handle(logEvent(`line ${i} of the log`));
+  }
+  await transport.close();
+  assert.deepEqual(fs.readdirSync(dir).sort(), [ 'app.log', 'app.log.1', 'app.log.2' ]);
+  assert.equal(fs.readFileSync(file, 'utf8'), 'line 9 of the log\n');
+});
+
+test('RotatingFileTransport reports failing writes instead of rejecting', async (t) => {
+  const errorMock = t.mock.method(console, 'error', () => {});
+  const transport = new RotatingFileTransport({ path: path.join(os.tmpdir(), 'no-such-dir', 'sub', 'app.log') });
+  transport.handle(logEvent('lost'));
+  await transport.close();
+  assert.equal(errorMock.mock.callCount(), 1);
+});
+
+test('HttpTransport gives up after maxRetries, and stops retrying once closed', async (t) => {
+  const errorMock = t.mock.method(console, 'error', () => {});
+  let sends = 0;
+  t.mock.method(globalThis, 'fetch', async () => {
+    sends += 1;
+    throw new Error('collector down');
+  });
+  const transport = new HttpTransport({ url: 'http://localhost/logs', flushInterval: 5, maxRetries: 2 });
+  transport.handle(logEvent('lost'));
+  await delay(100); // First send after 5ms, retries after 5 and 10ms more
+  assert.equal(sends, 3);
+  assert.equal(transport.queue.length, 0);
+  assert.match(errorMock.mock.calls[2].arguments.join(' '), /Giving up after 2 retries, discarding 1 log events/);
+  transport.handle(logEvent('kept'));
+  await transport.close();
+  assert.equal(sends, 4);
+  assert.equal(transport.timer, null);
+  assert.equal(transport.queue.length, 1);
+});
+
+test('HttpTransport with a failing collector does not keep a Node process alive', async () => {
+  const script = `
+    import { HttpTransport } from ${JSON.stringify(new URL('./logtransports.mjs', import.meta.url).href)};
+    console.error = () => {};
+    globalThis.fetch = async () => { throw new Error('collector down'); };
+    const transport = new HttpTransport({ url: 'http://localhost/logs', flushInterval: 10 });
+    transport.handle({ time: new Date(), level: 800, message: 'lost', args: [], context: {} });
+    setTimeout(() => {}, 100); // Let it fail and schedule retries first
+  `;
+  const startedAt = Date.now();
+  const { code, signal } = await new Promise((resolve) => {
+    const child = spawn(process.execPath, [ '--input-type=module', '-e', script ], { stdio: 'ignore', timeout: 5000 });
+    child.on('exit', (code, signal) => { resolve({ code, signal }); });
+  });
+  assert.equal(signal, null);
+  assert.equal(code, 0);
+  assert.ok(Date.now() - startedAt < 5000);
+});
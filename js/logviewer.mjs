@@ -0,0 +1,278 @@
+import * as log from './log.mjs';
+import * as utils from './utils.mjs';
+import * as domutils from './domutils.mjs';
+import { MemoryTransport, ConsoleTransport } from './logtransports.mjs';
+
+// An in-page overlay showing recent log events: useful for debugging on devices without devtools.
+// Expects the styles from css/logviewer.css to be included.
+
+/**
+ *  Type representing an in-page, filterable and searchable log viewer.
+ *
+ *  Usage:
+ *    const viewer = new LogViewer({ gestureTarget: document.body }).install();
+ *  after which the viewer can be toggled via Ctrl+Shift+L or a double-tap on the gesture target.
+ */
+export class LogViewer
+{
+  /**
+   *  Create the log viewer.
+   *
+   *  @param options Following options are available:
+   *                  'capacity': the maximum number of log events kept. Defaults to 500.
+   *                  'minLevel': the minimum level of log events kept. Defaults to keeping all log events.
+   *                  'toggleKey': the key combination to toggle the viewer, e.g. 'ctrl+shift+l' (the default). Set to null to disable.
+   *                  'gestureTarget': the element on which a gesture toggles the viewer. No gesture support if not set.
+   *                  'gesture': 'double-tap' (the default) or a swipe direction: 'swipe-up', 'swipe-down', 'swipe-left' or 'swipe-right'.
+   *                  'keepConsole': whether to keep emitting log events to the console as well. Defaults to true.
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      capacity: 500,
+      minLevel: null,
+      toggleKey: 'ctrl+shift+l',
+      gestureTarget: null,
+      gesture: 'double-tap',
+      keepConsole: true
+    }, options);
+    this.buffer = new MemoryTransport({ capacity: this.options.capacity, minLevel: this.options.minLevel });
+    this.consoleTransport = this.options.keepConsole ? new ConsoleTransport() : null;
+    this.installed = false;
+    this.gestureInstalled = false;
+    this.panel = null;
+    this.filter = { minLevel: 0, text: '' };
+    this.scheduleRender = domutils.moderatedEventCallback(() => { this.render(); }, 100);
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  /**
+   *  Start capturing log events and listening for the toggle key and gesture.
+   *
+   *  @return This log viewer.
+   */
+  install() {
+    if (this.installed) {
+      return this;
+    }
+    this.installed = true;
+    log.addLogHandler(this);
+    if (this.consoleTransport) {
+      log.addLogHandler(this.consoleTransport);
+    }
+    if (this.options.toggleKey) {
+      document.addEventListener('keydown', this.onKeyDown);
+    }
+    const gestureTarget = this.options.gestureTarget;
+    if (gestureTarget && !this.gestureInstalled) { // Gesture listeners can't be removed, so only install once
+      this.gestureInstalled = true;
+      const gesture = this.options.gesture;
+      if (gesture === 'double-tap') {
+        domutils.onDoubleTap(gestureTarget, () => { if (this.installed) { this.toggle(); } });
+      }
+      else if (gesture && gesture.startsWith('swipe-')) {
+        const dir = gesture.substring('swipe-'.length);
+        domutils.onSwipe(gestureTarget, (swipe) => { if (this.installed && (swipe.dir === dir)) { this.toggle(); } });
+      }
+    }
+    return this;
+  }
+
+  /**
+   *  Stop capturing log events and remove the viewer from the document.
+   */
+  uninstall() {
+    if (!this.installed) {
+      return;
+    }
+    this.installed = false;
+    log.removeLogHandler(this);
+    if (this.consoleTransport) {
+      log.removeLogHandler(this.consoleTransport);
+    }
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.hide();
+  }
+
+  /**
+   *  Handle a log event: invoked for each log event once installed.
+   *
+   *  @param logEvent The log event to handle.
+   */
+  handle(logEvent) {
+    this.buffer.handle(logEvent);
+    if (this.isVisible()) {
+      this.scheduleRender();
+    }
+  }
+
+  onKeyDown(event) {
+    const parts = this.options.toggleKey.toLowerCase().split('+');
+    const key = parts[parts.length - 1];
+    if ((event.ctrlKey === parts.includes('ctrl')) && (event.shiftKey === parts.includes('shift')) &&
+        (event.altKey === parts.includes('alt')) && (event.metaKey === parts.includes('meta')) &&
+        (event.key.toLowerCase() === key)) {
+      event.preventDefault();
+      this.toggle();
+    }
+  }
+
+  isVisible() {
+    return !!this.panel && this.panel.isConnected;
+  }
+
+  show() {
+    if (!this.panel) {
+      this.panel = this.createPanel();
+    }
+    if (!this.panel.isConnected) {
+      document.body.appendChild(this.panel);
+    }
+    this.render();
+  }
+
+  hide() {
+    if (this.isVisible()) {
+      this.panel.remove();
+    }
+  }
+
+  toggle() {
+    if (this.isVisible()) {
+      this.hide();
+    }
+    else {
+      this.show();
+    }
+  }
+
+  createPanel() {
+    const panel = domutils.htmlToElement(`
+      <div class="log-viewer" role="log" aria-label="Log viewer">
+        <div class="log-viewer-toolbar">
+          <select class="log-viewer-level" aria-label="Minimum level"></select>
+          <input class="log-viewer-search" type="search" placeholder="Search" aria-label="Search">
+          <button class="log-viewer-copy" type="button">Copy</button>
+          <button class="log-viewer-export" type="button">Export</button>
+          <button class="log-viewer-clear" type="button">Clear</button>
+          <button class="log-viewer-close" type="button" aria-label="Close">&times;</button>
+        </div>
+        <ol class="log-viewer-entries"></ol>
+      </div>
+      `);
+    const levelEl = panel.querySelector('.log-viewer-level');
+    const allOption = document.createElement('option');
+    allOption.value = '0';
+    allOption.textContent = 'all';
+    levelEl.appendChild(allOption);
+    for (let { name, level } of log.getLevels()) {
+      const option = document.createElement('option');
+      option.value = `${level}`;
+      option.textContent = name;
+      levelEl.appendChild(option);
+    }
+    levelEl.addEventListener('change', () => {
+      this.filter.minLevel = +levelEl.value;
+      this.render();
+    });
+    const searchEl = panel.querySelector('.log-viewer-search');
+    searchEl.addEventListener('input', domutils.moderatedEventCallback(() => {
+      this.filter.text = searchEl.value.trim().toLowerCase();
+      this.render();
+    }, 200));
+    panel.querySelector('.log-viewer-copy').addEventListener('click', () => { this.copy(); });
+    panel.querySelector('.log-viewer-export').addEventListener('click', () => { this.download(); });
+    panel.querySelector('.log-viewer-clear').addEventListener('click', () => {
+      this.buffer.clear();
+      this.render();
+    });
+    panel.querySelector('.log-viewer-close').addEventListener('click', () => { this.hide(); });
+    return panel;
+  }
+
+  /**
+   *  Get the log events kept that pass the current level and search filter.
+   *
+   *  @return An array of objects with properties 'event' and 'text'.
+   */
+  filteredEntries() {
+    const events = this.buffer.entries();
+    const lines = this.buffer.lines();
+    const entries = [];
+    for (let i = 0; i < events.length; i++) {
+      if (events[i].level < this.filter.minLevel) {
+        continue;
+      }
+      if (this.filter.text && !lines[i].toLowerCase().includes(this.filter.text)) {
+        continue;
+      }
+      entries.push({ event: events[i], text: lines[i] });
+    }
+    return entries;
+  }
+
+  render() {
+    if (!this.isVisible()) {
+      return;
+    }
+    const listEl = this.panel.querySelector('.log-viewer-entries');
+    const scrolledToBottom = (listEl.scrollTop + listEl.clientHeight >= listEl.scrollHeight - 4);
+    const fragment = document.createDocumentFragment();
+    for (let { event, text } of this.filteredEntries()) {
+      const itemEl = document.createElement('li');
+      itemEl.classList.add('log-viewer-entry', `level-${log.levelToLevelName(event.level)}`);
+      itemEl.textContent = text;
+      fragment.appendChild(itemEl);
+    }
+    listEl.replaceChildren(fragment);
+    if (scrolledToBottom) {
+      listEl.scrollTop = listEl.scrollHeight;
+    }
+  }
+
+  /**
+   *  Export the log events kept, with arguments redacted.
+   *
+   *  @return A JSON string with an array of log events.
+   */
+  toJson() {
+    const events = this.buffer.entries().map((logEvent) => ({
+      id: logEvent.id,
+      time: utils.toDateTime(logEvent.time).toISOString(),
+      name: logEvent.name,
+      level: logEvent.level,
+      levelName: log.levelToLevelName(logEvent.level),
+      message: log.formatMessage(logEvent.message, logEvent.args || []),
+      context: log.redact(logEvent.context || {})
+    }));
+    return JSON.stringify(events, null, 2);
+  }
+
+  /**
+   *  Copy the log events kept as JSON to the clipboard.
+   *
+   *  @return A promise that resolves once copied.
+   */
+  async copy() {
+    try {
+      await navigator.clipboard.writeText(this.toJson());
+    }
+    catch (err) {
+      log.warn("Copying log events to the clipboard failed: %O", err);
+    }
+  }
+
+  /**
+   *  Download the log events kept as a JSON file.
+   */
+  download() {
+    const blob = new Blob([ this.toJson() ], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const linkEl = document.createElement('a');
+    linkEl.href = url;
+    linkEl.download = `log-${utils.formatDateTime(new Date(), 'T').replace(/:/g, '')}.json`;
+    document.body.appendChild(linkEl);
+    linkEl.click();
+    linkEl.remove();
+    setTimeout(() => { URL.revokeObjectURL(url); }, 1000);
+  }
+}
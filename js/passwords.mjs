@@ -0,0 +1,346 @@
+import * as log from './log.mjs';
+import { SIMPLE_ENGLISH_WORDS } from './englishwords.mjs';
+import { SIMPLE_DUTCH_WORDS, DUTCH_WORDS } from './dutchwords.mjs';
+
+// Password related utility functions: strength estimation and passphrase generation.
+// Kept separate from formutils, since importing this module loads the (large) word lists.
+
+const LEET_SUBSTITUTIONS = { '@': 'a', '4': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g', '1': 'i', '!': 'i', '|': 'l', '0': 'o', '$': 's', '5': 's', '7': 't', '+': 't', '2': 'z' };
+
+const KEYBOARD_ROWS = [ 'qwertyuiop', 'asdfghjkl', 'zxcvbnm', 'azertyuiop', 'qsdfghjklm', 'wxcvbn', '1234567890', '1qaz2wsx3edc4rfv5tgb6yhn7ujm8ik9ol0p' ];
+
+// For each pair of adjacent keys: the rows and directions they are adjacent in, like '0+' or '3-'
+const KEYBOARD_PAIRS = new Map();
+KEYBOARD_ROWS.forEach((row, rowIdx) => {
+  const addPair = (pair, way) => { KEYBOARD_PAIRS.set(pair, (KEYBOARD_PAIRS.get(pair) || []).concat(way)); };
+  for (let i = 0; i + 1 < row.length; i++) {
+    addPair(row.substring(i, i + 2), `${rowIdx}+`);
+    addPair(row.charAt(i + 1) + row.charAt(i), `${rowIdx}-`);
+  }
+});
+
+// Only the start of longer passwords is searched for patterns, to keep estimating fast enough to run on each keystroke
+const MAX_ANALYSED_LENGTH = 100;
+
+const SCORE_LABELS = [ 'very weak', 'weak', 'fair', 'strong', 'very strong' ];
+
+// Minimum entropy (in bits) for each score
+const SCORE_THRESHOLDS = [ 0, 28, 36, 60, 80 ];
+
+const WARNINGS = {
+  dictionary: "Contains a common word",
+  user: "Contains personal information",
+  keyboard: "Keyboard patterns like 'qwerty' are easy to guess",
+  sequence: "Sequences like 'abc' or '123' are easy to guess",
+  repeat: "Repeats like 'aaa' or 'abcabc' are easy to guess",
+  date: "Dates and years are easy to guess"
+};
+
+// The lookup sets are only built on first use, since building them from the full dutch word list takes a while
+let dictionaries = null;
+
+function getDictionaries() {
+  if (!dictionaries) {
+    const toSet = (words) => new Set(words.map((word) => word.toLowerCase()).filter((word) => /^[a-z]{3,}$/.test(word)));
+    dictionaries = [ toSet(SIMPLE_ENGLISH_WORDS), toSet(SIMPLE_DUTCH_WORDS), toSet(DUTCH_WORDS) ];
+  }
+  return dictionaries;
+}
+
+/**
+ *  Get the size of the character set a password draws from, based on the character classes it uses.
+ */
+function charsetSize(password) {
+  let size = 0;
+  if (/[a-z]/.test(password)) { size += 26; }
+  if (/[A-Z]/.test(password)) { size += 26; }
+  if (/[0-9]/.test(password)) { size += 10; }
+  if (/[ -/:-@[-`{-~]/.test(password)) { size += 33; }
+  if (/[^\x00-\x7f]/.test(password)) { size += 100; }
+  return Math.max(size, 10);
+}
+
+function charClassCount(password) {
+  return [ /[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/ ].filter((regex) => regex.test(password)).length;
+}
+
+/**
+ *  Find the dictionary words (of at least 4 letters) and user inputs in a password, also when written in leet speak.
+ */
+function findWordMatches(password, userInputs) {
+  const matches = [];
+  const lower = password.toLowerCase();
+  const unleet = Array.from(lower).map((c) => LEET_SUBSTITUTIONS[c] || c).join('');
+  const userWords = userInputs.map((input) => `${input}`.toLowerCase())
+                              .flatMap((input) => [ input ].concat(input.split(/[^a-z0-9]+/)))
+                              .filter((word) => word.length >= 3);
+  const dicts = getDictionaries();
+  for (let i = 0; i < password.length; i++) {
+    for (let j = Math.min(password.length, i + 24); j >= i + 3; j--) {
+      const word = unleet.substring(i, j);
+      const original = password.substring(i, j);
+      const leetCount = Array.from(lower.substring(i, j)).filter((c, idx) => c !== word.charAt(idx)).length;
+      const upperCount = (original.match(/[A-Z]/g) || []).length;
+      const variations = Math.min(leetCount, 3) + ((upperCount === 0) ? 0 : (((upperCount === 1) && /^[A-Z]/.test(original)) ? 1 : 2));
+      if (userWords.includes(word)) {
+        matches.push({ kind: 'user', start: i, end: j, entropy: 1 + variations });
+        continue;
+      }
+      if (word.length < 4) {
+        continue;
+      }
+      const dictIdx = dicts.findIndex((dict) => dict.has(word));
+      if (dictIdx >= 0) {
+        matches.push({ kind: 'dictionary', start: i, end: j, entropy: Math.log2(dicts[dictIdx].size) + variations });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ *  Find repeats, sequences, keyboard patterns and years in a password.
+ */
+function findPatternMatches(password) {
+  const matches = [];
+  const lower = password.toLowerCase();
+  const addRegexMatches = (regex, kind, entropyFn) => {
+    for (let m of password.matchAll(regex)) {
+      matches.push({ kind: kind, start: m.index, end: m.index + m[0].length, entropy: entropyFn(m) });
+    }
+  };
+  addRegexMatches(/(.)\1{2,}/g, 'repeat', (m) => Math.log2(charsetSize(m[1]) * m[0].length));
+  addRegexMatches(/(.{2,}?)\1+/g, 'repeat', (m) => Math.log2(charsetSize(m[1])) * m[1].length + Math.log2(m[0].length / m[1].length));
+  addRegexMatches(/(19|20)\d\d/g, 'date', () => Math.log2(120));
+  // Sequences: runs of characters with a step of -1 or +1
+  for (let i = 0; i < lower.length - 2; ) {
+    const step = lower.charCodeAt(i + 1) - lower.charCodeAt(i);
+    if (Math.abs(step) !== 1) {
+      i++;
+      continue;
+    }
+    let j = i + 1;
+    while ((j + 1 < lower.length) && (lower.charCodeAt(j + 1) - lower.charCodeAt(j) === step)) {
+      j++;
+    }
+    if (j - i >= 2) {
+      matches.push({ kind: 'sequence', start: i, end: j + 1, entropy: Math.log2(charsetSize(password.charAt(i))) + 1 + Math.log2(j + 1 - i) });
+    }
+    i = j;
+  }
+  // Keyboard patterns: runs of at least 4 adjacent keys of the same keyboard row, in the same direction
+  let start = 0;
+  let ways = null; // The rows and directions the run from start up to i fits in
+  for (let i = 1; i <= lower.length; i++) {
+    const pairWays = KEYBOARD_PAIRS.get(lower.substring(i - 1, i + 1)) || [];
+    const runWays = ways ? pairWays.filter((way) => ways.includes(way)) : pairWays;
+    if ((i < lower.length) && (runWays.length > 0)) {
+      ways = runWays;
+      continue;
+    }
+    if (i - start >= 4) {
+      matches.push({ kind: 'keyboard', start: start, end: i, entropy: Math.log2(KEYBOARD_ROWS.length * 10 * 2) + Math.log2(i - start) });
+    }
+    start = (pairWays.length > 0) ? i - 1 : i; // Keys adjacent in another row or direction start a new run
+    ways = (pairWays.length > 0) ? pairWays : null;
+  }
+  return matches;
+}
+
+/**
+ *  Estimate the strength of a password.
+ *
+ *  The estimate is the number of bits of entropy: characters covered by a guessable pattern (dictionary words,
+ *  personal information, keyboard patterns, sequences, repeats and years) only count for the pattern as a whole,
+ *  the other characters count for the size of the character set used.
+ *  Only the first 100 characters are searched for patterns: beyond that, all characters count.
+ *
+ *  @param password The password to estimate.
+ *  @param userInputs Strings the password should not be based on, e.g. the user's name and email address.
+ *
+ *  @return An object with following properties:
+ *            - entropy: the estimated number of bits of entropy
+ *            - score: 0 (very weak) to 4 (very strong)
+ *            - label: 'very weak', 'weak', 'fair', 'strong' or 'very strong'
+ *            - patterns: the kinds of guessable patterns found
+ *            - warning: a text explaining the main weakness, or null
+ *            - suggestions: an array of texts with suggestions for improvement
+ */
+export function estimatePasswordStrength(password, userInputs = []) {
+  password = password || '';
+  const analysed = password.substring(0, MAX_ANALYSED_LENGTH);
+  const candidates = findWordMatches(analysed, userInputs).concat(findPatternMatches(analysed));
+  // Greedily use the matches that save the most entropy compared to random characters, without overlap
+  const charEntropy = Math.log2(charsetSize(password));
+  candidates.forEach((match) => { match.saving = (match.end - match.start) * charEntropy - match.entropy; });
+  candidates.sort((a, b) => b.saving - a.saving);
+  const covered = new Array(password.length).fill(false);
+  const used = [];
+  for (let match of candidates) {
+    if ((match.saving <= 0) || covered.slice(match.start, match.end).some((it) => it)) {
+      continue;
+    }
+    covered.fill(true, match.start, match.end);
+    used.push(match);
+  }
+  const uncoveredCount = covered.filter((it) => !it).length;
+  const entropy = (password.length === 0) ? 0 : uncoveredCount * charEntropy + used.reduce((sum, match) => sum + match.entropy, 0);
+  let score = 0;
+  while ((score < SCORE_THRESHOLDS.length - 1) && (entropy >= SCORE_THRESHOLDS[score + 1])) {
+    score++;
+  }
+  used.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  const patterns = Array.from(new Set(used.map((match) => match.kind)));
+  const suggestions = [];
+  if (score < 3) {
+    if (password.length < 12) {
+      suggestions.push("Use at least 12 characters");
+    }
+    if (charClassCount(password) < 3) {
+      suggestions.push("Mix upper and lower case letters, digits and symbols");
+    }
+    if (patterns.length > 0) {
+      suggestions.push("Avoid common words, names, dates and patterns");
+    }
+    suggestions.push("Consider a passphrase of several random words");
+  }
+  return {
+    entropy: Math.round(entropy * 10) / 10,
+    score: score,
+    label: SCORE_LABELS[score],
+    patterns: patterns,
+    warning: (patterns.length > 0) && (score < 3) ? WARNINGS[patterns[0]] : null,
+    suggestions: suggestions
+  };
+}
+
+/**
+ *  Show the strength of the password in an input element as it changes.
+ *
+ *  The meter element gets the score (0-4) as 'data-score' attribute and as 'strength-<score>' class,
+ *  and as value if it is a <meter> or <progress> element. The feedback element gets the label,
+ *  warning and suggestions as text.
+ *
+ *  @param inputEl The password input element.
+ *  @param options Following options are available:
+ *                  'meter': the meter element. Defaults to the '.password-strength-meter' in the input's '.input-group'.
+ *                  'feedback': the feedback element. Defaults to the '.password-strength-feedback' in the input's '.input-group'.
+ *                  'userInputs': array of strings, or function returning them, the password should not be based on.
+ */
+export function handlePasswordStrength(inputEl, options = {}) {
+  const groupEl = inputEl.closest(".input-group") || inputEl.parentElement;
+  const meterEl = options.meter || groupEl.querySelector(".password-strength-meter");
+  const feedbackEl = options.feedback || groupEl.querySelector(".password-strength-feedback");
+  if (!meterEl && !feedbackEl) {
+    throw new Error("Cannot determine password strength meter or feedback element");
+  }
+  if (feedbackEl) {
+    feedbackEl.setAttribute("aria-live", "polite");
+  }
+  if (meterEl && [ 'METER', 'PROGRESS' ].includes(meterEl.tagName)) {
+    meterEl.setAttribute("min", "0");
+    meterEl.setAttribute("max", `${SCORE_LABELS.length - 1}`);
+  }
+  const update = () => {
+    const userInputs = (typeof options.userInputs === 'function') ? options.userInputs() : (options.userInputs || []);
+    const strength = estimatePasswordStrength(inputEl.value, userInputs);
+    const isEmpty = (inputEl.value.length === 0);
+    if (meterEl) {
+      SCORE_LABELS.forEach((label, score) => meterEl.classList.remove(`strength-${score}`));
+      if (isEmpty) {
+        delete meterEl.dataset.score;
+      }
+      else {
+        meterEl.dataset.score = `${strength.score}`;
+        meterEl.classList.add(`strength-${strength.score}`);
+      }
+      if ([ 'METER', 'PROGRESS' ].includes(meterEl.tagName)) {
+        meterEl.value = isEmpty ? 0 : strength.score;
+      }
+      meterEl.setAttribute("aria-valuetext", isEmpty ? "" : strength.label);
+    }
+    if (feedbackEl) {
+      const texts = isEmpty ? [] : [ `Strength: ${strength.label}.` ].concat(strength.warning ? [ `${strength.warning}.` ] : [])
+                                                                     .concat(strength.suggestions.map((suggestion) => `${suggestion}.`));
+      feedbackEl.textContent = texts.join(' ');
+    }
+  };
+  inputEl.addEventListener('input', update);
+  update();
+}
+
+/**
+ *  Get a cryptographically secure random integer in the range [0, max).
+ *  Uses rejection sampling to avoid the bias of a plain modulo.
+ *
+ *  @param max The upper bound (exclusive), at most 2^32.
+ */
+export function secureRandomInt(max) {
+  if (!Number.isInteger(max) || (max <= 0) || (max > 0x100000000)) {
+    throw new RangeError("max for secureRandomInt(max) must be an integer in the range [1, 2^32]");
+  }
+  const limit = Math.floor(0x100000000 / max) * max;
+  const values = new Uint32Array(1);
+  do {
+    globalThis.crypto.getRandomValues(values);
+  } while (values[0] >= limit);
+  return values[0] % max;
+}
+
+/**
+ *  Get the words passphrases are generated from.
+ *
+ *  @param language 'english', 'dutch' or 'both'.
+ */
+function passphraseWords(language) {
+  const words = [];
+  if ((language === 'english') || (language === 'both')) {
+    words.push(...SIMPLE_ENGLISH_WORDS);
+  }
+  if ((language === 'dutch') || (language === 'both')) {
+    words.push(...SIMPLE_DUTCH_WORDS);
+  }
+  return Array.from(new Set(words.map((word) => word.toLowerCase()).filter((word) => /^[a-z]{3,}$/.test(word))));
+}
+
+/**
+ *  Generate a random passphrase from the simple english and/or dutch words, e.g. 'apple-warm-fiets-door-zes-blue'.
+ *
+ *  @param options Following options are available:
+ *                  'words': the number of words. Defaults to 6.
+ *                  'language': 'english', 'dutch' or 'both' (the default).
+ *                  'separator': the text between the words. Defaults to '-'.
+ *                  'capitalize': whether to capitalize the words. Defaults to false.
+ *                  'addNumber': whether to add a random digit to one of the words. Defaults to false.
+ *
+ *  @return An object with properties 'passphrase' and 'entropy': the number of bits of entropy of the generation.
+ */
+export function generatePassphrase(options = {}) {
+  options = Object.assign({
+    words: 6,
+    language: 'both',
+    separator: '-',
+    capitalize: false,
+    addNumber: false
+  }, options);
+  const wordList = passphraseWords(options.language);
+  if (wordList.length === 0) {
+    throw new Error(`Unknown passphrase language '${options.language}'`);
+  }
+  const words = [];
+  for (let i = 0; i < options.words; i++) {
+    let word = wordList[secureRandomInt(wordList.length)];
+    if (options.capitalize) {
+      word = word.charAt(0).toUpperCase() + word.substring(1);
+    }
+    words.push(word);
+  }
+  let entropy = options.words * Math.log2(wordList.length);
+  if (options.addNumber && (words.length > 0)) {
+    const idx = secureRandomInt(words.length);
+    words[idx] += `${secureRandomInt(10)}`;
+    entropy += Math.log2(words.length * 10);
+  }
+  log.trace("Generated passphrase of %d words with %f bits of entropy", words.length, entropy);
+  return { passphrase: words.join(options.separator), entropy: Math.round(entropy * 10) / 10 };
+}
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimatePasswordStrength, generatePassphrase } from './passwords.mjs';
+
+test('estimatePasswordStrength() detects guessable patterns', () => {
+  assert.deepEqual(estimatePasswordStrength('').score, 0);
+  assert.ok(estimatePasswordStrength('qwerty').patterns.includes('keyboard'));
+  assert.ok(estimatePasswordStrength('zxcvbnm!').patterns.includes('keyboard'));
+  assert.ok(estimatePasswordStrength('lkjhgf').patterns.includes('keyboard')); // Reversed
+  assert.ok(!estimatePasswordStrength('qwqwqw').patterns.includes('keyboard'));
+  assert.ok(estimatePasswordStrength('abcdef').patterns.includes('sequence'));
+  assert.ok(estimatePasswordStrength('Summer2019').patterns.includes('date'));
+  assert.ok(estimatePasswordStrength('giovanni77', [ 'Giovanni' ]).patterns.includes('user'));
+  assert.ok(estimatePasswordStrength('password').score <= 1);
+  assert.ok(estimatePasswordStrength('kT9#vQ2!mZ7$wL4x').score >= 3);
+});
+
+test('estimatePasswordStrength() stays fast for long passwords', () => {
+  const password = 'aB3$qwertyuiop'.repeat(150); // 2100 characters
+  const startedAt = Date.now();
+  const strength = estimatePasswordStrength(password);
+  assert.ok(Date.now() - startedAt < 500);
+  assert.equal(strength.score, 4);
+});
+
+test('generatePassphrase() generates the requested number of words', () => {
+  const { passphrase, entropy } = generatePassphrase({ words: 5, separator: ' ' });
+  assert.equal(passphrase.split(' ').length, 5);
+  assert.ok(entropy > 50);
+});
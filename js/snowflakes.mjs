@@ -13,6 +13,10 @@ const DEFAULT_SNOW_FLAKE_COLORS = [ "rgba(220,220,220,0.2)", "rgba(220,220,220,0
 
 // Global state
 
+// Called from the animation loop: collapse the otherwise per-frame repeated trace messages
+const logger = log.getLogger('snowflakes');
+logger.config({ 'collapse-repeats': true });
+
 // Keep track of all snow flakes
 let animId = 0;
 let snowFlakes = [];
@@ -140,7 +144,7 @@ function createSnowFlake() {
   newElement.innerText = utils.randomElement(snowOptions.symbols); // + `sp:${newSnowFlake.fallSpeed},d:${newSnowFlake.dir}`;
   // Append to document:
   snowFlakeContainer.appendChild(newElement);
-  log.trace(`${snowFlakes.length} snowflakes have been created now`);
+  logger.trace('%d snowflakes have been created now', snowFlakes.length);
 }
 
 /**
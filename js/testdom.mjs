@@ -0,0 +1,26 @@
+import { JSDOM } from 'jsdom';
+
+// Test support: a DOM for running browser code on Node, via jsdom.
+
+// Globals browser code relies upon, copied from the jsdom window
+const WINDOW_GLOBALS = [ 'window', 'document', 'Node', 'Element', 'HTMLElement', 'HTMLFormElement', 'HTMLInputElement',
+                         'HTMLTemplateElement', 'DocumentFragment', 'Event', 'KeyboardEvent', 'FocusEvent', 'FormData',
+                         'getComputedStyle', 'localStorage' ];
+
+/**
+ *  Install a fresh DOM as globals, to be invoked before importing modules that need one.
+ *
+ *  @param htmlText The HTML of the document. Defaults to an empty page.
+ *
+ *  @return The jsdom window.
+ */
+export function setupDom(htmlText = '<!DOCTYPE html><html><body></body></html>') {
+  const dom = new JSDOM(htmlText, { url: 'http://localhost/', pretendToBeVisual: true });
+  for (let name of WINDOW_GLOBALS) {
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+  }
+  if (!dom.window.CSS || !dom.window.CSS.escape) { // Not provided by jsdom
+    globalThis.CSS = { escape: (value) => `${value}`.replace(/[^\w-]/g, (c) => `\\${c}`) };
+  }
+  return dom.window;
+}